@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const { notifyAssignees, syncPerformanceTasks } = require('../utils/actionItems');
+const { parsePagination } = require('../utils/helpers');
+
+// Check if user manages action items of a meeting
+const isOfficer = (user, meeting) => {
+  return user.isController ||
+    ['Secretary', 'President'].includes(user.role) ||
+    meeting.chairperson.toString() === user.id.toString() ||
+    meeting.minutesTaker.toString() === user.id.toString();
+};
+
+// Check if user is the assignee of an action item
+const isAssignee = (user, item) => {
+  return item.assignee && item.assignee.toString() === user.id.toString();
+};
+
+// Find the meeting holding an action item or send 404
+const findActionItem = async (req, res) => {
+  const meeting = mongoose.isValidObjectId(req.params.itemId)
+    ? await Meeting.findOne({ 'minutes.actionItems._id': req.params.itemId })
+    : null;
+
+  if (!meeting) {
+    res.status(404).json({
+      success: false,
+      message: 'Action item not found'
+    });
+    return {};
+  }
+
+  return { meeting, item: meeting.minutes.actionItems.id(req.params.itemId) };
+};
+
+// Values of a list filter, given comma separated or as a repeated parameter
+const parseList = (value) => {
+  return [].concat(value).flatMap(item => String(item).split(','));
+};
+
+// Shape an action item together with its source meeting
+const formatActionItem = (meeting, item) => ({
+  ...(item.toObject ? item.toObject() : item),
+  meeting: {
+    _id: meeting._id,
+    meetingId: meeting.meetingId,
+    title: meeting.title,
+    date: meeting.date
+  }
+});
+
+// @desc    Get action items across meetings
+// @route   GET /api/action-items
+// @access  Private
+exports.getActionItems = async (req, res, next) => {
+  try {
+    const {
+      assignee,
+      status,
+      priority,
+      meeting,
+      deadlineFrom,
+      deadlineTo
+    } = req.query;
+
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page and limit must be positive whole numbers'
+      });
+    }
+
+    if ((assignee && assignee !== 'me' && !mongoose.isValidObjectId(assignee)) ||
+        (meeting && !mongoose.isValidObjectId(meeting))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid assignee or meeting ID'
+      });
+    }
+
+    const match = {};
+    if (assignee) {
+      match['minutes.actionItems.assignee'] = new mongoose.Types.ObjectId(assignee === 'me' ? req.user.id : assignee);
+    }
+    if (status) match['minutes.actionItems.status'] = { $in: parseList(status) };
+    if (priority) match['minutes.actionItems.priority'] = { $in: parseList(priority) };
+    if (deadlineFrom || deadlineTo) {
+      match['minutes.actionItems.deadline'] = {};
+      if (deadlineFrom) match['minutes.actionItems.deadline'].$gte = new Date(deadlineFrom);
+      if (deadlineTo) match['minutes.actionItems.deadline'].$lte = new Date(deadlineTo);
+    }
+
+    const pipeline = [
+      { $match: meeting ? { _id: new mongoose.Types.ObjectId(meeting) } : {} },
+      { $unwind: '$minutes.actionItems' },
+      { $match: match },
+      {
+        $project: {
+          _id: 0,
+          item: '$minutes.actionItems',
+          meeting: {
+            _id: '$_id',
+            meetingId: '$meetingId',
+            title: '$title',
+            date: '$date'
+          }
+        }
+      },
+      { $sort: { 'item.deadline': 1, 'meeting.date': -1 } }
+    ];
+
+    const [result] = await Meeting.aggregate([
+      ...pipeline,
+      {
+        $facet: {
+          items: [{ $skip: pagination.skip }, { $limit: pagination.limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const actionItems = result.items.map(({ item, meeting }) => ({ ...item, meeting }));
+    await User.populate(actionItems, { path: 'assignee', select: 'name role avatar' });
+
+    const total = result.total[0]?.count || 0;
+
+    res.status(200).json({
+      success: true,
+      count: actionItems.length,
+      total,
+      totalPages: Math.ceil(total / pagination.limit),
+      currentPage: pagination.page,
+      actionItems
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single action item
+// @route   GET /api/action-items/:itemId
+// @access  Private
+exports.getActionItem = async (req, res, next) => {
+  try {
+    const { meeting, item } = await findActionItem(req, res);
+    if (!item) return;
+
+    await meeting.populate([
+      { path: 'minutes.actionItems.assignee', select: 'name role avatar' },
+      { path: 'minutes.actionItems.comments.author', select: 'name role avatar' },
+      { path: 'minutes.actionItems.reassignments.from', select: 'name' },
+      { path: 'minutes.actionItems.reassignments.to', select: 'name' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      actionItem: formatActionItem(meeting, item)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update progress of an action item with a comment
+// @route   POST /api/action-items/:itemId/progress
+// @access  Private/Assignee
+exports.updateProgress = async (req, res, next) => {
+  try {
+    const { progress, status, comment } = req.body;
+
+    const { meeting, item } = await findActionItem(req, res);
+    if (!item) return;
+
+    if (!isAssignee(req.user, item) && !isOfficer(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the assignee or meeting officers can update this action item'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(item.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action item is already ${item.status}`
+      });
+    }
+
+    if (status && !['pending', 'in-progress', 'completed', 'cancelled'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid action item status'
+      });
+    }
+
+    if (status === 'cancelled' && !isOfficer(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only meeting officers can cancel action items'
+      });
+    }
+
+    if (progress !== undefined) {
+      item.progress = progress;
+    }
+
+    if (status === 'completed' || item.progress === 100) {
+      item.status = 'completed';
+      item.progress = 100;
+      item.completionDate = new Date();
+    } else if (status === 'cancelled') {
+      item.status = 'cancelled';
+    } else if (item.status !== 'overdue') {
+      // Overdue items stay overdue until they are completed or rescheduled
+      item.status = status || (item.progress > 0 ? 'in-progress' : item.status);
+    }
+
+    if (comment || progress !== undefined) {
+      item.comments.push({
+        text: comment,
+        progress: item.progress,
+        author: req.user.id
+      });
+    }
+
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+    await syncPerformanceTasks([item.assignee]);
+
+    res.status(200).json({
+      success: true,
+      actionItem: formatActionItem(meeting, item)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reassign or reschedule an action item
+// @route   PUT /api/action-items/:itemId/assign
+// @access  Private/Officers
+exports.reassignActionItem = async (req, res, next) => {
+  try {
+    const { assignee, deadline, reason } = req.body;
+
+    const { meeting, item } = await findActionItem(req, res);
+    if (!item) return;
+
+    if (!isOfficer(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only meeting officers can reassign action items'
+      });
+    }
+
+    if (!assignee && !deadline) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a new assignee or deadline'
+      });
+    }
+
+    const previousAssignee = item.assignee;
+
+    if (assignee && assignee !== previousAssignee?.toString()) {
+      const user = await User.findById(assignee);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      item.reassignments.push({
+        from: previousAssignee,
+        to: user._id,
+        reason,
+        reassignedBy: req.user.id
+      });
+      item.assignee = user._id;
+    }
+
+    if (deadline) {
+      item.deadline = deadline;
+
+      // A new deadline in the future lifts the overdue flag
+      if (item.status === 'overdue' && new Date(deadline) > new Date()) {
+        item.status = item.progress > 0 ? 'in-progress' : 'pending';
+      }
+    }
+
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+    await syncPerformanceTasks([previousAssignee, item.assignee]);
+
+    if (item.assignee && item.assignee.toString() !== previousAssignee?.toString()) {
+      await notifyAssignees(meeting, [item]);
+    }
+
+    res.status(200).json({
+      success: true,
+      actionItem: formatActionItem(meeting, item)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
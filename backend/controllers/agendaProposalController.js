@@ -0,0 +1,286 @@
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+
+// Check if user chairs the meeting
+const isChair = (user, meeting) => {
+  return user.isController || meeting.chairperson.toString() === user.id.toString();
+};
+
+// Meetings still open for agenda proposals
+const isUpcoming = (meeting) => {
+  return ['draft', 'scheduled'].includes(meeting.status);
+};
+
+// Find meeting and pending proposal for the chair or send an error
+const findPendingProposal = async (req, res) => {
+  const meeting = await Meeting.findById(req.params.id);
+
+  if (!meeting) {
+    res.status(404).json({
+      success: false,
+      message: 'Meeting not found'
+    });
+    return {};
+  }
+
+  if (!isChair(req.user, meeting)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the chairperson can review agenda proposals'
+    });
+    return {};
+  }
+
+  const proposal = meeting.agendaProposals.id(req.params.proposalId);
+
+  if (!proposal) {
+    res.status(404).json({
+      success: false,
+      message: 'Agenda proposal not found'
+    });
+    return {};
+  }
+
+  if (proposal.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      message: `Agenda proposal has already been ${proposal.status}`
+    });
+    return {};
+  }
+
+  return { meeting, proposal };
+};
+
+// Record the chair's decision on a proposal
+const reviewProposal = (proposal, status, userId, reason) => {
+  proposal.status = status;
+  proposal.reason = reason;
+  proposal.reviewedBy = userId;
+  proposal.reviewedAt = new Date();
+};
+
+// @desc    Get agenda proposals of a meeting
+// @route   GET /api/meetings/:id/agenda-proposals
+// @access  Private
+exports.getAgendaProposals = async (req, res, next) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id)
+      .select('chairperson agendaProposals')
+      .populate('agendaProposals.proposedBy', 'name role avatar')
+      .populate('agendaProposals.reviewedBy', 'name role')
+      .populate('agendaProposals.deferredTo', 'meetingId title date');
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    const { status } = req.query;
+
+    // Members only see what they proposed, the chair sees the whole queue
+    const proposals = meeting.agendaProposals
+      .filter(proposal => isChair(req.user, meeting) || proposal.proposedBy?._id.toString() === req.user.id.toString())
+      .filter(proposal => !status || proposal.status === status);
+
+    res.status(200).json({
+      success: true,
+      count: proposals.length,
+      proposals
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Propose an agenda item
+// @route   POST /api/meetings/:id/agenda-proposals
+// @access  Private
+exports.proposeAgendaItem = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, duration, attachments } = req.body;
+
+    const meeting = await Meeting.findById(req.params.id);
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    if (!isUpcoming(meeting)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot propose agenda items for a meeting that is ${meeting.status}`
+      });
+    }
+
+    meeting.agendaProposals.push({
+      title,
+      description,
+      duration,
+      attachments,
+      proposedBy: req.user.id
+    });
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Agenda item proposed',
+      proposal: meeting.agendaProposals[meeting.agendaProposals.length - 1]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept a proposal onto the agenda
+// @route   POST /api/meetings/:id/agenda-proposals/:proposalId/accept
+// @access  Private/Chair
+exports.acceptAgendaProposal = async (req, res, next) => {
+  try {
+    const { meeting, proposal } = await findPendingProposal(req, res);
+    if (!proposal) return;
+
+    if (!isUpcoming(meeting)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change the agenda of a meeting that is ${meeting.status}`
+      });
+    }
+
+    const proposer = await User.findById(proposal.proposedBy).select('name');
+
+    meeting.agenda.push({
+      itemNumber: meeting.agenda.length + 1,
+      title: proposal.title,
+      description: proposal.description,
+      duration: req.body.duration || proposal.duration,
+      presenter: proposer?.name,
+      proposedBy: proposal.proposedBy,
+      attachments: proposal.attachments
+    });
+
+    reviewProposal(proposal, 'accepted', req.user.id, req.body.reason);
+    proposal.agendaItem = meeting.agenda[meeting.agenda.length - 1]._id;
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Agenda proposal accepted',
+      proposal,
+      agendaItem: meeting.agenda[meeting.agenda.length - 1]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reject a proposal
+// @route   POST /api/meetings/:id/agenda-proposals/:proposalId/reject
+// @access  Private/Chair
+exports.rejectAgendaProposal = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason for rejection is required'
+      });
+    }
+
+    const { meeting, proposal } = await findPendingProposal(req, res);
+    if (!proposal) return;
+
+    reviewProposal(proposal, 'rejected', req.user.id, reason);
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Agenda proposal rejected',
+      proposal
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Defer a proposal to a later meeting's queue
+// @route   POST /api/meetings/:id/agenda-proposals/:proposalId/defer
+// @access  Private/Chair
+exports.deferAgendaProposal = async (req, res, next) => {
+  try {
+    const { meetingId, reason } = req.body;
+
+    if (!meetingId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Meeting to defer to is required'
+      });
+    }
+
+    const { meeting, proposal } = await findPendingProposal(req, res);
+    if (!proposal) return;
+
+    const laterMeeting = await Meeting.findById(meetingId);
+
+    if (!laterMeeting || laterMeeting._id.equals(meeting._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting to defer to not found'
+      });
+    }
+
+    if (!isUpcoming(laterMeeting) || laterMeeting.date < meeting.date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Proposals can only be deferred to a later upcoming meeting'
+      });
+    }
+
+    laterMeeting.agendaProposals.push({
+      title: proposal.title,
+      description: proposal.description,
+      duration: proposal.duration,
+      attachments: proposal.attachments,
+      proposedBy: proposal.proposedBy,
+      deferredFrom: meeting._id
+    });
+    laterMeeting.updatedBy = req.user.id;
+    await laterMeeting.save();
+
+    reviewProposal(proposal, 'deferred', req.user.id, reason);
+    proposal.deferredTo = laterMeeting._id;
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Agenda proposal deferred to meeting ${laterMeeting.meetingId}`,
+      proposal
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+
+// Check if user can display the check-in code of a meeting
+const canManageCheckIn = (user, meeting) => {
+  return user.isController ||
+    ['Secretary', 'President'].includes(user.role) ||
+    meeting.chairperson.toString() === user.id.toString() ||
+    meeting.minutesTaker.toString() === user.id.toString();
+};
+
+// Build the string encoded in the check-in QR code
+const getQrPayload = (meeting, code) => {
+  const baseUrl = process.env.FRONTEND_URL || '';
+  return `${baseUrl}/meeting/${meeting._id}/check-in?code=${code}`;
+};
+
+// @desc    Get current check-in code and QR payload
+// @route   GET /api/meetings/:id/check-in/code
+// @access  Private/Officers
+exports.getCheckInCode = async (req, res, next) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id).select('+checkIn.secret');
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    if (!canManageCheckIn(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to display the check-in code'
+      });
+    }
+
+    if (!['scheduled', 'in-progress'].includes(meeting.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Check-in is not available for a meeting that is ${meeting.status}`
+      });
+    }
+
+    // Secret is created the first time the code is displayed
+    if (!meeting.checkIn.secret) {
+      meeting.checkIn.secret = crypto.randomBytes(20).toString('hex');
+      await meeting.save();
+    }
+
+    const { code, expiresAt } = meeting.getCheckInCode();
+
+    res.status(200).json({
+      success: true,
+      code,
+      expiresAt,
+      qrPayload: getQrPayload(meeting, code),
+      window: meeting.getCheckInWindow()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update check-in window and late threshold
+// @route   PUT /api/meetings/:id/check-in/settings
+// @access  Private/Officers
+exports.updateCheckInSettings = async (req, res, next) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id);
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    if (!canManageCheckIn(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change check-in settings'
+      });
+    }
+
+    ['opensBefore', 'closesAfter', 'lateAfter', 'rotationSeconds'].forEach(field => {
+      if (req.body[field] !== undefined) meeting.checkIn[field] = req.body[field];
+    });
+
+    if (meeting.checkIn.lateAfter > meeting.checkIn.closesAfter) {
+      return res.status(400).json({
+        success: false,
+        message: 'Late threshold must be within the check-in window'
+      });
+    }
+
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      checkIn: meeting.checkIn,
+      window: meeting.getCheckInWindow()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Check in to a meeting with the displayed code
+// @route   POST /api/meetings/:id/check-in
+// @access  Private
+exports.checkIn = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in code is required'
+      });
+    }
+
+    const meeting = await Meeting.findById(req.params.id).select('+checkIn.secret');
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    if (!['scheduled', 'in-progress'].includes(meeting.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot check in to a meeting that is ${meeting.status}`
+      });
+    }
+
+    const now = new Date();
+    const window = meeting.getCheckInWindow();
+
+    if (now < window.opensAt || now > window.closesAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in is closed for this meeting',
+        window
+      });
+    }
+
+    if (!meeting.checkIn.secret || !meeting.verifyCheckInCode(code, now)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired check-in code'
+      });
+    }
+
+    const existing = meeting.attendees.find(a => a.user && a.user.toString() === req.user.id.toString());
+    if (existing && ['present', 'late'].includes(existing.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already checked in',
+        attendance: existing
+      });
+    }
+
+    const attendance = meeting.checkInAttendee(req.user, now);
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      message: attendance.status === 'late' ? 'Checked in late' : 'Checked in',
+      attendance
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Correct an attendance entry
+// @route   PUT /api/meetings/:id/attendees/:userId/correct
+// @access  Private/Controller
+exports.correctAttendance = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { status, reason, time } = req.body;
+
+    const meeting = await Meeting.findById(req.params.id);
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    let attendee = meeting.attendees.find(a => a.user && a.user.toString() === req.params.userId);
+
+    // Members missing from the list can be added by a correction
+    if (!attendee) {
+      const user = await User.findById(req.params.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      meeting.attendees.push({ user: user._id, name: user.name, role: user.role });
+      attendee = meeting.attendees[meeting.attendees.length - 1];
+    }
+
+    attendee.corrections.push({
+      previousStatus: attendee.status,
+      status,
+      reason,
+      correctedBy: req.user.id
+    });
+    attendee.status = status;
+    if (time !== undefined) attendee.time = time;
+
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Attendance corrected',
+      attendance: attendee
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,308 @@
+const mongoose = require('mongoose');
 const { Chat, Message } = require('../models/Chat');
 const User = require('../models/User');
+const ChatAuditLog = require('../models/ChatAuditLog');
+const MessageReport = require('../models/MessageReport');
+const ChatReadState = require('../models/ChatReadState');
 const { validationResult } = require('express-validator');
+const { emitToDiscussion, emitToUsers, getOnlineUsers, getLastSeen } = require('../utils/socket');
+const { findMentions } = require('../utils/mentions');
+const { getSearchTerms, highlight } = require('../utils/search');
+const { notify } = require('../utils/notifications');
+const { getStorage } = require('../utils/storage');
+const { sniffFileType } = require('../utils/fileType');
+const { createThumbnail } = require('../utils/thumbnails');
+const { scanFile } = require('../utils/virusScan');
+const { OFFICER_ROLES } = require('../utils/quorum');
+const { buildPoll } = require('../utils/polls');
+const { contentDisposition, parsePagination } = require('../utils/helpers');
+const { isPrivate, isMember, isAdmin, getPostingRestriction } = require('../utils/chatAccess');
+
+// Message types clients may send, the other types are set by the server
+const CLIENT_MESSAGE_TYPES = ['text', 'announcement', 'poll'];
+
+// Largest private conversation, bigger groups use a regular discussion
+const MAX_PRIVATE_PARTICIPANTS = 8;
+
+const generateDiscussionId = (prefix = 'disc') => {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+};
+
+// Controllers moderate every discussion except private conversations
+const isModerator = (user, discussion) => {
+  return Boolean(user.isController) && !isPrivate(discussion);
+};
+
+// Check if user is a council officer
+const isOfficer = (user) => {
+  return user.isController || OFFICER_ROLES.includes(user.role);
+};
+
+// Pinning follows the right to manage the discussion, private conversations
+// belong to their participants
+const canPin = (user, discussion) => {
+  return isPrivate(discussion)
+    ? isMember(discussion, user.id)
+    : isAdmin(discussion, user.id) || Boolean(user.isController);
+};
+
+// Shorten a message for notifications
+const preview = (text = '') => {
+  return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+};
+
+// A controller may open a private conversation they are not part of only with
+// a stated reason, and every such access is written to the audit log
+const hasAuditedAccess = async (req, discussion) => {
+  const reason = req.query.overrideReason;
+  if (!isPrivate(discussion) || !req.user.isController || !reason || !reason.trim()) return false;
+
+  await ChatAuditLog.create({
+    discussionId: discussion.discussionId,
+    action: 'private-access',
+    actor: req.user.id,
+    reason: reason.trim(),
+    details: { path: req.originalUrl },
+    ip: req.ip
+  });
+
+  return true;
+};
+
+// Resolve the @mentions of a message against the active members of its discussion
+const resolveMentions = async (discussion, text) => {
+  if (!text || !text.includes('@')) return [];
+
+  const members = await User.find({
+    _id: { $in: [...discussion.participants, discussion.createdBy] },
+    status: 'active'
+  }).select('name role');
+
+  return findMentions(text, members).users;
+};
+
+// Notify mentioned users, the notification center honours their chat preference
+const notifyMentions = async (discussion, message, userIds) => {
+  const recipients = userIds.filter(id => id.toString() !== message.sender._id.toString());
+
+  await notify(recipients, {
+    type: 'chat-mention',
+    title: `${message.sender.name} mentioned you in ${discussion.discussionTitle}`,
+    message: preview(message.message),
+    link: `/chat/${discussion.discussionId}`,
+    data: { discussionId: discussion.discussionId, messageId: message._id }
+  });
+};
+
+// Push an announcement to every member of the discussion
+const notifyAnnouncement = async (discussion, message) => {
+  const members = [...discussion.participants, discussion.createdBy]
+    .filter(id => id.toString() !== message.sender._id.toString());
+
+  await notify(members, {
+    type: 'chat-announcement',
+    title: `Announcement in ${discussion.discussionTitle}`,
+    message: preview(message.message),
+    link: `/chat/${discussion.discussionId}`,
+    data: { discussionId: discussion.discussionId, messageId: message._id }
+  });
+};
+
+// Tell the thread starter and earlier repliers about a new reply. Those
+// mentioned in the reply are left to the mention notification.
+const notifyThread = async (discussion, parent, reply) => {
+  const repliers = await Message.find({ parentId: parent._id, deleted: false }).distinct('sender');
+  const followers = [...new Set([parent.sender, ...repliers].map(id => id.toString()))]
+    .filter(id => id !== reply.sender._id.toString() && isMember(discussion, id));
+
+  emitToUsers(followers, 'thread:reply', {
+    discussionId: discussion.discussionId,
+    parentId: parent._id,
+    message: reply
+  });
+
+  const mentioned = reply.mentions.map(user => (user._id || user).toString());
+
+  await notify(followers.filter(id => !mentioned.includes(id)), {
+    type: 'chat-thread-reply',
+    title: `${reply.sender.name} replied in a thread in ${discussion.discussionTitle}`,
+    message: preview(reply.message),
+    link: `/chat/${discussion.discussionId}`,
+    data: { discussionId: discussion.discussionId, messageId: reply._id, parentId: parent._id }
+  });
+};
+
+// Push new reply count and time of a thread to the discussion
+const refreshThread = async (discussion, parentId) => {
+  const parent = await Message.refreshThread(parentId);
+  if (!parent) return null;
+
+  emitToDiscussion(discussion, 'thread:updated', {
+    discussionId: discussion.discussionId,
+    parentId: parent._id,
+    replyCount: parent.replyCount,
+    lastReplyAt: parent.lastReplyAt
+  });
+
+  return parent;
+};
+
+// Count the messages of others after the user's read cursor, per discussion
+const getUnreadCounts = async (userId, discussionIds) => {
+  if (discussionIds.length === 0) return new Map();
+
+  const cursors = await ChatReadState.find({ user: userId, discussionId: { $in: discussionIds } });
+  const readUpTo = new Map(cursors.map(cursor => [cursor.discussionId, cursor.lastReadAt]));
+
+  const counts = await Message.aggregate([
+    {
+      $match: {
+        $or: discussionIds.map(id => ({
+          discussionId: id,
+          createdAt: { $gt: readUpTo.get(id) || new Date(0) }
+        })),
+        sender: { $ne: new mongoose.Types.ObjectId(userId) },
+        deleted: false,
+        hidden: { $ne: true }
+      }
+    },
+    { $group: { _id: '$discussionId', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(item => [item._id, item.count]));
+};
+
+// Get the discussions the user belongs to
+const getMemberDiscussionIds = (userId) => {
+  return Chat.find({
+    $or: [
+      { participants: userId },
+      { createdBy: userId }
+    ]
+  }).distinct('discussionId');
+};
+
+// Move the user's read cursor and sync their badge and the read receipts
+const markDiscussionRead = async (discussion, userId, message) => {
+  const readState = await ChatReadState.markRead(userId, message);
+  if (!readState) return null;
+
+  emitToDiscussion(discussion, 'message:read', {
+    discussionId: discussion.discussionId,
+    user: userId,
+    messageId: message._id,
+    readAt: new Date()
+  }, { except: userId });
+
+  const counts = await getUnreadCounts(userId, await getMemberDiscussionIds(userId));
+  emitToUsers([userId], 'chat:unread', {
+    discussionId: discussion.discussionId,
+    unreadCount: counts.get(discussion.discussionId) || 0,
+    total: [...counts.values()].reduce((sum, count) => sum + count, 0)
+  });
+
+  return readState;
+};
+
+// Check uploaded files against the discussion limits and the virus scan
+// Returns an error message for the first file that is refused
+const checkAttachments = async (discussion, files) => {
+  const { maxFileSizeMB, allowedFileTypes } = discussion.settings;
+
+  for (const file of files) {
+    if (file.size > maxFileSizeMB * 1024 * 1024) {
+      return `${file.originalname} is larger than ${maxFileSizeMB}MB`;
+    }
+
+    const type = sniffFileType(file.buffer, file.originalname);
+    if (!type || (allowedFileTypes.length > 0 && !allowedFileTypes.includes(type.ext))) {
+      return `${file.originalname} is not an allowed file type`;
+    }
+    file.detectedType = type;
+
+    const scan = await scanFile(file.buffer, { name: file.originalname });
+    if (!scan.clean) {
+      return `${file.originalname} was rejected by the virus scan`;
+    }
+    file.scan = { scanner: scan.scanner, scannedAt: new Date() };
+  }
+
+  return null;
+};
+
+// Store checked files as attachments of a message, with thumbnails of images
+const storeAttachments = async (discussion, messageId, files) => {
+  const storage = getStorage();
+  const attachments = [];
+
+  for (const file of files) {
+    const _id = new mongoose.Types.ObjectId();
+    const { ext, mime } = file.detectedType;
+    const base = `chat/${discussion.discussionId}/${messageId}/${_id}`;
+    const url = `/api/chat/messages/${messageId}/attachments/${_id}`;
+
+    const attachment = {
+      _id,
+      name: file.originalname,
+      url,
+      type: mime,
+      ext,
+      size: file.size,
+      storageKey: await storage.save(`${base}.${ext}`, file.buffer),
+      scan: file.scan
+    };
+
+    if (mime.startsWith('image/')) {
+      try {
+        const thumbnail = await createThumbnail(file.buffer);
+        attachment.thumbnailKey = await storage.save(`${base}-thumb.webp`, thumbnail.buffer);
+        attachment.thumbnailUrl = `${url}?thumbnail=true`;
+        attachment.width = thumbnail.width;
+        attachment.height = thumbnail.height;
+      } catch (error) {
+        // A broken image is still shared, only without a preview
+      }
+    }
+
+    attachments.push(attachment);
+  }
+
+  return attachments;
+};
+
+const removeAttachments = (attachments) => {
+  return Promise.all(attachments.flatMap(attachment => [attachment.storageKey, attachment.thumbnailKey])
+    .filter(Boolean)
+    .map(key => getStorage().remove(key)));
+};
+
+// Find a discussion the user may update or send an error. Private
+// conversations belong to their participants, others to their admins.
+const findManagedDiscussion = async (req, res) => {
+  const discussion = await Chat.findOne({ discussionId: req.params.id });
+
+  if (!discussion) {
+    res.status(404).json({
+      success: false,
+      message: 'Discussion not found'
+    });
+    return null;
+  }
+
+  const canUpdate = isPrivate(discussion)
+    ? isMember(discussion, req.user.id)
+    : discussion.admins.includes(req.user.id) || req.user.isController;
+
+  if (!canUpdate) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this discussion'
+    });
+    return null;
+  }
+
+  return discussion;
+};
 
 // @desc    Get all discussions
 // @route   GET /api/chat/discussions
@@ -20,9 +322,10 @@ exports.getDiscussions = async (req, res, next) => {
     const query = {};
 
     // Only show discussions user is part of
+    // Private conversations are only listed for their participants
     query.$or = [
       { participants: req.user.id },
-      { isGroup: true },
+      { isGroup: true, discussionType: { $ne: 'private' } },
       { createdBy: req.user.id }
     ];
 
@@ -31,11 +334,13 @@ exports.getDiscussions = async (req, res, next) => {
     if (pinned !== undefined) query.pinned = pinned === 'true';
     
     if (search) {
-      query.$or = [
-        { discussionTitle: { $regex: search, $options: 'i' } },
-        { discussionDescription: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+      query.$and = [{
+        $or: [
+          { discussionTitle: { $regex: search, $options: 'i' } },
+          { discussionDescription: { $regex: search, $options: 'i' } },
+          { tags: { $in: [new RegExp(search, 'i')] } }
+        ]
+      }];
     }
 
     // Execute query
@@ -50,19 +355,26 @@ exports.getDiscussions = async (req, res, next) => {
     // Get total count
     const total = await Chat.countDocuments(query);
 
-    // Get unread counts
+    // Get unread counts, open group discussions the user is not in have none
+    const unreadCounts = await getUnreadCounts(
+      req.user.id,
+      discussions.filter(d => isMember(d, req.user.id)).map(d => d.discussionId)
+    );
+
     const discussionsWithUnread = await Promise.all(
       discussions.map(async (discussion) => {
-        const unreadCount = await Message.countDocuments({
-          discussionId: discussion.discussionId,
-          'readBy.user': { $ne: req.user.id },
-          sender: { $ne: req.user.id },
-          createdAt: { $gt: req.user.lastLogin || new Date(0) }
-        });
+        const unreadCount = unreadCounts.get(discussion.discussionId) || 0;
+
+        const [threads] = await Message.aggregate([
+          { $match: { discussionId: discussion.discussionId, parentId: { $ne: null }, deleted: false, hidden: { $ne: true } } },
+          { $group: { _id: null, replyCount: { $sum: 1 }, lastReplyAt: { $max: '$createdAt' } } }
+        ]);
 
         return {
           ...discussion.toObject(),
-          unreadCount
+          unreadCount,
+          replyCount: threads?.replyCount || 0,
+          lastReplyAt: threads?.lastReplyAt || null
         };
       })
     );
@@ -104,8 +416,13 @@ exports.createDiscussion = async (req, res, next) => {
       tags
     } = req.body;
 
+    // Private conversations are found by their participants, never duplicated
+    if (type === 'private') {
+      return exports.startConversation(req, res, next);
+    }
+
     // Generate discussion ID
-    const discussionId = `disc-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const discussionId = generateDiscussionId();
 
     // Add creator to participants if not already included
     const allParticipants = [...new Set([
@@ -140,6 +457,10 @@ exports.createDiscussion = async (req, res, next) => {
       .populate('createdBy', 'name email role avatar')
       .populate('admins', 'name email role avatar');
 
+    emitToDiscussion(discussion, 'discussion:new', {
+      discussion: populatedDiscussion
+    }, { except: req.user.id });
+
     res.status(201).json({
       success: true,
       discussion: populatedDiscussion,
@@ -151,6 +472,95 @@ exports.createDiscussion = async (req, res, next) => {
   }
 };
 
+// @desc    Find or start a private conversation with other members
+// @route   POST /api/chat/conversations
+// @access  Private
+exports.startConversation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const participants = Array.isArray(req.body.participants) ? req.body.participants : [];
+
+    const ids = [...new Set([req.user.id.toString(), ...participants.map(String)])];
+
+    if (ids.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose at least one other member to message'
+      });
+    }
+
+    if (ids.length > MAX_PRIVATE_PARTICIPANTS) {
+      return res.status(400).json({
+        success: false,
+        message: `Private conversations are limited to ${MAX_PRIVATE_PARTICIPANTS} participants`
+      });
+    }
+
+    if (!ids.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid participant ID'
+      });
+    }
+
+    const users = await User.find({ _id: { $in: ids }, status: 'active' }).select('name');
+    if (users.length !== ids.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const participantKey = Chat.getParticipantKey(ids);
+    let discussion = await Chat.findOne({ discussionType: 'private', participantKey });
+    let created = false;
+
+    if (!discussion) {
+      try {
+        discussion = await Chat.create({
+          discussionId: generateDiscussionId('dm'),
+          discussionTitle: users.map(user => user.name).join(', '),
+          discussionType: 'private',
+          participants: ids,
+          isGroup: ids.length > 2,
+          createdBy: req.user.id,
+          admins: []
+        });
+        created = true;
+      } catch (error) {
+        // Another request created the same conversation first
+        if (error.code !== 11000) throw error;
+        discussion = await Chat.findOne({ discussionType: 'private', participantKey });
+      }
+    }
+
+    const populatedDiscussion = await Chat.findById(discussion._id)
+      .populate('participants', 'name email role avatar avatarColor');
+
+    if (created) {
+      emitToDiscussion(discussion, 'discussion:new', {
+        discussion: populatedDiscussion
+      }, { except: req.user.id });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      discussion: populatedDiscussion
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get discussion messages
 // @route   GET /api/chat/discussions/:id/messages
 // @access  Private
@@ -173,16 +583,23 @@ exports.getMessages = async (req, res, next) => {
       });
     }
 
-    if (!discussion.participants.includes(req.user.id) && 
-        discussion.createdBy.toString() !== req.user.id.toString()) {
+    const isParticipant = isMember(discussion, req.user.id);
+    if (!isParticipant && !(await hasAuditedAccess(req, discussion))) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to view this discussion'
+        message: isPrivate(discussion) && req.user.isController
+          ? 'Opening a private conversation requires an overrideReason, which is audited'
+          : 'Not authorized to view this discussion'
       });
     }
 
-    // Build query
-    const query = { discussionId, deleted: false };
+    // Build query, replies are fetched with their thread
+    const query = { discussionId, parentId: null, deleted: false };
+
+    // Hidden messages stay visible to the moderators only
+    if (!isAdmin(discussion, req.user.id) && !isModerator(req.user, discussion)) {
+      query.hidden = { $ne: true };
+    }
 
     if (before) {
       query.createdAt = { $lt: new Date(before) };
@@ -197,27 +614,24 @@ exports.getMessages = async (req, res, next) => {
     // Execute query
     const messages = await Message.find(query)
       .populate('sender', 'name email role avatar avatarColor')
-      .populate('replies.sender', 'name email role avatar')
       .populate('mentions', 'name email role avatar')
       .sort('-createdAt')
       .limit(parseInt(limit));
 
-    // Mark messages as read
-    await Message.updateMany(
-      {
-        discussionId,
-        'readBy.user': { $ne: req.user.id },
-        sender: { $ne: req.user.id }
-      },
-      {
-        $push: {
-          readBy: {
-            user: req.user.id,
-            readAt: new Date()
-          }
-        }
-      }
-    );
+    // An audited override reads without leaving any trace in the conversation
+    if (!isParticipant) {
+      return res.status(200).json({
+        success: true,
+        count: messages.length,
+        messages: messages.reverse(),
+        discussion
+      });
+    }
+
+    // Opening the latest messages reads the discussion up to the newest one
+    if (messages.length > 0 && !before && !search) {
+      await markDiscussionRead(discussion, req.user.id, messages[0]);
+    }
 
     // Update discussion last activity
     if (messages.length > 0) {
@@ -225,11 +639,56 @@ exports.getMessages = async (req, res, next) => {
       await discussion.save();
     }
 
+    // Read cursors of all members, for read receipts
+    const readStates = await ChatReadState.find({ discussionId })
+      .select('user lastReadMessage lastReadAt');
+
     res.status(200).json({
       success: true,
       count: messages.length,
       messages: messages.reverse(), // Return in chronological order
-      discussion
+      discussion,
+      readStates
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single discussion with the user's unread count
+// @route   GET /api/chat/discussions/:id
+// @access  Private
+exports.getDiscussion = async (req, res, next) => {
+  try {
+    const discussion = await Chat.findOne({ discussionId: req.params.id });
+
+    if (!discussion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discussion not found'
+      });
+    }
+
+    if (!isMember(discussion, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this discussion'
+      });
+    }
+
+    await discussion.populate([
+      { path: 'participants', select: 'name email role avatar avatarColor' },
+      { path: 'createdBy', select: 'name email role avatar' },
+      { path: 'admins', select: 'name email role avatar' }
+    ]);
+
+    const unreadCounts = await getUnreadCounts(req.user.id, [discussion.discussionId]);
+
+    res.status(200).json({
+      success: true,
+      discussion,
+      unreadCount: unreadCounts.get(discussion.discussionId) || 0
     });
 
   } catch (error) {
@@ -254,9 +713,16 @@ exports.sendMessage = async (req, res, next) => {
       discussionId,
       message,
       type,
-      attachments,
       replyTo
     } = req.body;
+    const files = req.files || [];
+
+    if (type !== undefined && !CLIENT_MESSAGE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Message type must be one of ${CLIENT_MESSAGE_TYPES.join(', ')}`
+      });
+    }
 
     // Check if user is part of discussion
     const discussion = await Chat.findOne({ discussionId });
@@ -275,26 +741,109 @@ exports.sendMessage = async (req, res, next) => {
       });
     }
 
+    const restriction = getPostingRestriction(discussion, req.user.id);
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        message: restriction
+      });
+    }
+
     // Check discussion settings
-    if (discussion.settings.allowFiles === false && type !== 'text') {
+    if (discussion.settings.allowFiles === false && files.length > 0) {
       return res.status(403).json({
         success: false,
         message: 'File attachments are not allowed in this discussion'
       });
     }
 
-    // Create message
-    const newMessage = await Message.create({
-      discussionId,
-      sender: req.user.id,
-      message,
-      type: type || 'text',
-      attachments: attachments || [],
-      metadata: {
-        ip: req.ip,
-        userAgent: req.get('User-Agent')
+    const refused = await checkAttachments(discussion, files);
+    if (refused) {
+      return res.status(400).json({
+        success: false,
+        message: refused
+      });
+    }
+
+    // Announcements are posted by officers and stay at the top of the discussion
+    const isAnnouncement = type === 'announcement';
+    if (isAnnouncement && !isOfficer(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only council officers can post announcements'
+      });
+    }
+
+    if (isAnnouncement && replyTo) {
+      return res.status(400).json({
+        success: false,
+        message: 'Announcements cannot be posted as replies'
+      });
+    }
+
+    // Polls ask the message text and close at poll.closesAt, if given
+    let poll;
+    if (type === 'poll') {
+      const built = buildPoll(req.body.poll);
+      if (built.error) {
+        return res.status(400).json({
+          success: false,
+          message: built.error
+        });
       }
-    });
+      poll = built.poll;
+    }
+
+    // Replies to a reply join the thread of its first message
+    let parent = null;
+    if (replyTo) {
+      parent = await Message.findOne({ _id: replyTo, discussionId, deleted: false });
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message to reply to not found'
+        });
+      }
+
+      if (parent.parentId) {
+        parent = await Message.findById(parent.parentId);
+      }
+    }
+
+    // Files are stored under the id of the message they belong to
+    const messageId = new mongoose.Types.ObjectId();
+    const attachments = await storeAttachments(discussion, messageId, files);
+
+    // Create message
+    let newMessage;
+    try {
+      newMessage = await Message.create({
+        _id: messageId,
+        discussionId,
+        sender: req.user.id,
+        message,
+        type: isAnnouncement || poll || attachments.length === 0
+          ? type || 'text'
+          : attachments.every(attachment => attachment.type.startsWith('image/')) ? 'image' : 'file',
+        attachments,
+        poll,
+        parentId: parent?._id || null,
+        mentions: await resolveMentions(discussion, message),
+        ...(isAnnouncement && {
+          pinned: true,
+          pinnedAt: new Date(),
+          pinnedBy: req.user.id
+        }),
+        metadata: {
+          ip: req.ip,
+          userAgent: req.get('User-Agent')
+        }
+      });
+    } catch (error) {
+      await removeAttachments(attachments);
+      throw error;
+    }
 
     // Update discussion last activity
     discussion.lastActivity = new Date();
@@ -305,6 +854,32 @@ exports.sendMessage = async (req, res, next) => {
       .populate('sender', 'name email role avatar avatarColor')
       .populate('mentions', 'name email role avatar');
 
+    emitToDiscussion(discussion, 'message:new', {
+      discussionId,
+      message: populatedMessage
+    });
+
+    // Whoever writes has read what came before
+    await ChatReadState.markRead(req.user.id, newMessage);
+
+    if (parent) {
+      await refreshThread(discussion, parent._id);
+      await notifyThread(discussion, parent, populatedMessage);
+    }
+
+    if (isAnnouncement) {
+      emitToDiscussion(discussion, 'message:pinned', {
+        discussionId,
+        messageId: newMessage._id,
+        pinned: true,
+        pinnedBy: req.user.id
+      });
+      await notifyAnnouncement(discussion, populatedMessage);
+    }
+
+    // Everyone already hears about an announcement
+    await notifyMentions(discussion, populatedMessage, isAnnouncement ? [] : newMessage.mentions);
+
     res.status(201).json({
       success: true,
       message: populatedMessage
@@ -332,7 +907,9 @@ exports.editMessage = async (req, res, next) => {
     }
 
     // Check permissions
-    if (msg.sender.toString() !== req.user.id.toString() && !req.user.isController) {
+    const discussion = await Chat.findOne({ discussionId: msg.discussionId });
+    if (msg.sender.toString() !== req.user.id.toString() &&
+        !(discussion && isModerator(req.user, discussion))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to edit this message'
@@ -340,7 +917,6 @@ exports.editMessage = async (req, res, next) => {
     }
 
     // Check discussion settings
-    const discussion = await Chat.findOne({ discussionId: msg.discussionId });
     if (discussion && discussion.settings.allowEditing === false) {
       return res.status(403).json({
         success: false,
@@ -348,8 +924,18 @@ exports.editMessage = async (req, res, next) => {
       });
     }
 
-    // Update message
+    const restriction = discussion && getPostingRestriction(discussion, req.user.id);
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        message: restriction
+      });
+    }
+
+    // Update message, only people newly mentioned by the edit are notified
+    const previousMentions = msg.mentions.map(id => id.toString());
     msg.message = message;
+    msg.mentions = discussion ? await resolveMentions(discussion, message) : [];
     await msg.save();
 
     // Populate and return
@@ -357,6 +943,16 @@ exports.editMessage = async (req, res, next) => {
       .populate('sender', 'name email role avatar avatarColor')
       .populate('mentions', 'name email role avatar');
 
+    if (discussion) {
+      emitToDiscussion(discussion, 'message:updated', {
+        discussionId: msg.discussionId,
+        message: populatedMessage
+      });
+
+      await notifyMentions(discussion, populatedMessage,
+        msg.mentions.filter(id => !previousMentions.includes(id.toString())));
+    }
+
     res.status(200).json({
       success: true,
       message: populatedMessage
@@ -382,13 +978,13 @@ exports.deleteMessage = async (req, res, next) => {
     }
 
     // Check permissions
+    const discussion = await Chat.findOne({ discussionId: msg.discussionId });
     const isSender = msg.sender.toString() === req.user.id.toString();
-    const isDiscussionAdmin = await Chat.findOne({
-      discussionId: msg.discussionId,
-      admins: req.user.id
-    });
+    const isDiscussionAdmin = discussion &&
+      discussion.admins.some(id => id.toString() === req.user.id.toString());
+    const canModerate = discussion && isModerator(req.user, discussion);
     
-    if (!isSender && !isDiscussionAdmin && !req.user.isController) {
+    if (!isSender && !isDiscussionAdmin && !canModerate) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this message'
@@ -396,8 +992,7 @@ exports.deleteMessage = async (req, res, next) => {
     }
 
     // Check discussion settings
-    const discussion = await Chat.findOne({ discussionId: msg.discussionId });
-    if (discussion && discussion.settings.allowDeleting === false && !req.user.isController) {
+    if (discussion && discussion.settings.allowDeleting === false && !canModerate) {
       return res.status(403).json({
         success: false,
         message: 'Deleting messages is not allowed in this discussion'
@@ -410,6 +1005,33 @@ exports.deleteMessage = async (req, res, next) => {
     msg.deletedBy = req.user.id;
     await msg.save();
 
+    // Removing someone else's message is a moderation action
+    if (!isSender && discussion) {
+      await MessageReport.updateMany(
+        { message: msg._id, status: 'open' },
+        { status: 'resolved', resolution: 'deleted', resolvedBy: req.user.id, resolvedAt: new Date() }
+      );
+      await ChatAuditLog.create({
+        discussionId: discussion.discussionId,
+        action: 'delete',
+        actor: req.user.id,
+        message: msg._id,
+        targetUser: msg.sender,
+        reason: req.body?.reason,
+        ip: req.ip
+      });
+    }
+
+    if (discussion) {
+      emitToDiscussion(discussion, 'message:deleted', {
+        discussionId: msg.discussionId,
+        messageId: msg._id,
+        deletedBy: req.user.id
+      });
+
+      if (msg.parentId) await refreshThread(discussion, msg.parentId);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Message deleted successfully'
@@ -436,22 +1058,45 @@ exports.addReaction = async (req, res, next) => {
       });
     }
 
-    // Check discussion settings
     const discussion = await Chat.findOne({ discussionId: msg.discussionId });
-    if (discussion && discussion.settings.allowReactions === false) {
+    if (!discussion || !isMember(discussion, req.user.id)) {
       return res.status(403).json({
         success: false,
-        message: 'Reactions are not allowed in this discussion'
+        message: 'Not authorized to react in this discussion'
       });
     }
 
-    // Add reaction
-    await msg.addReaction(req.user.id, reaction);
-
+    // Check discussion settings
+    if (discussion.settings.allowReactions === false) {
+      return res.status(403).json({
+        success: false,
+        message: 'Reactions are not allowed in this discussion'
+      });
+    }
+
+    const restriction = getPostingRestriction(discussion, req.user.id);
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        message: restriction
+      });
+    }
+
+    // Add reaction
+    await msg.addReaction(req.user.id, reaction);
+
     // Populate and return
     const populatedMessage = await Message.findById(msg._id)
       .populate('sender', 'name email role avatar avatarColor');
 
+    if (discussion) {
+      emitToDiscussion(discussion, 'message:reaction', {
+        discussionId: msg.discussionId,
+        messageId: msg._id,
+        reactions: populatedMessage.reactions
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: populatedMessage
@@ -478,6 +1123,22 @@ exports.removeReaction = async (req, res, next) => {
       });
     }
 
+    const discussion = await Chat.findOne({ discussionId: msg.discussionId });
+    if (!discussion || !isMember(discussion, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to react in this discussion'
+      });
+    }
+
+    const restriction = getPostingRestriction(discussion, req.user.id);
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        message: restriction
+      });
+    }
+
     // Remove reaction
     await msg.removeReaction(req.user.id, reaction);
 
@@ -485,6 +1146,12 @@ exports.removeReaction = async (req, res, next) => {
     const populatedMessage = await Message.findById(msg._id)
       .populate('sender', 'name email role avatar avatarColor');
 
+    emitToDiscussion(discussion, 'message:reaction', {
+      discussionId: msg.discussionId,
+      messageId: msg._id,
+      reactions: populatedMessage.reactions
+    });
+
     res.status(200).json({
       success: true,
       message: populatedMessage
@@ -495,48 +1162,83 @@ exports.removeReaction = async (req, res, next) => {
   }
 };
 
-// @desc    Reply to message
+// @desc    Reply to message in its thread
 // @route   POST /api/chat/messages/:id/replies
 // @access  Private
 exports.replyToMessage = async (req, res, next) => {
   try {
-    const { message } = req.body;
-
     const originalMessage = await Message.findById(req.params.id);
 
-    if (!originalMessage) {
+    if (!originalMessage || originalMessage.deleted) {
       return res.status(404).json({
         success: false,
         message: 'Original message not found'
       });
     }
 
-    // Check if user is part of discussion
-    const discussion = await Chat.findOne({ discussionId: originalMessage.discussionId });
-    if (!discussion.participants.includes(req.user.id) && 
-        discussion.createdBy.toString() !== req.user.id.toString()) {
+    req.body.discussionId = originalMessage.discussionId;
+    req.body.replyTo = originalMessage._id;
+
+    return exports.sendMessage(req, res, next);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a thread with its replies
+// @route   GET /api/chat/messages/:id/thread
+// @access  Private
+exports.getThread = async (req, res, next) => {
+  try {
+    const { before, after, limit = 50 } = req.query;
+
+    const parent = await Message.findById(req.params.id)
+      .populate('sender', 'name email role avatar avatarColor')
+      .populate('mentions', 'name email role avatar');
+
+    if (!parent || parent.parentId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thread not found'
+      });
+    }
+
+    const discussion = await Chat.findOne({ discussionId: parent.discussionId });
+    if (!discussion ||
+        (!isMember(discussion, req.user.id) && !(await hasAuditedAccess(req, discussion)))) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to reply in this discussion'
+        message: 'Not authorized to view this discussion'
       });
     }
 
-    // Add reply
-    originalMessage.replies.push({
-      sender: req.user.id,
-      message
-    });
+    // Replies are paged oldest first, following the conversation
+    const query = { parentId: parent._id, deleted: false, hidden: { $ne: true } };
 
-    await originalMessage.save();
+    if (before) {
+      query.createdAt = { $lt: new Date(before) };
+    } else if (after) {
+      query.createdAt = { $gt: new Date(after) };
+    }
 
-    // Populate and return
-    const populatedMessage = await Message.findById(originalMessage._id)
+    const replies = await Message.find(query)
       .populate('sender', 'name email role avatar avatarColor')
-      .populate('replies.sender', 'name email role avatar');
+      .populate('mentions', 'name email role avatar')
+      .sort(before ? '-createdAt' : 'createdAt')
+      .limit(parseInt(limit) + 1);
+
+    const hasMore = replies.length > parseInt(limit);
+    const page = replies.slice(0, parseInt(limit));
+    if (before) page.reverse();
 
     res.status(200).json({
       success: true,
-      message: populatedMessage
+      count: page.length,
+      total: parent.replyCount,
+      hasMore,
+      message: parent.deleted ? { ...parent.toObject(), message: '' } : parent,
+      replies: page
     });
 
   } catch (error) {
@@ -549,18 +1251,17 @@ exports.replyToMessage = async (req, res, next) => {
 // @access  Private
 exports.getChatStats = async (req, res, next) => {
   try {
+    const discussionIds = await getMemberDiscussionIds(req.user.id);
+
     // Get message count
     const totalMessages = await Message.countDocuments({
-      'readBy.user': req.user.id,
+      discussionId: { $in: discussionIds },
       deleted: false
     });
 
     // Get unread count
-    const unreadMessages = await Message.countDocuments({
-      'readBy.user': { $ne: req.user.id },
-      sender: { $ne: req.user.id },
-      deleted: false
-    });
+    const unreadCounts = await getUnreadCounts(req.user.id, discussionIds);
+    const unreadMessages = [...unreadCounts.values()].reduce((sum, count) => sum + count, 0);
 
     // Get active discussions count
     const activeDiscussions = await Chat.countDocuments({
@@ -575,7 +1276,7 @@ exports.getChatStats = async (req, res, next) => {
     const recentActivity = await Message.aggregate([
       {
         $match: {
-          'readBy.user': req.user.id,
+          discussionId: { $in: discussionIds },
           deleted: false
         }
       },
@@ -613,22 +1314,8 @@ exports.updateDiscussion = async (req, res, next) => {
   try {
     const { title, description, settings, tags, pinned, archived } = req.body;
 
-    const discussion = await Chat.findOne({ discussionId: req.params.id });
-
-    if (!discussion) {
-      return res.status(404).json({
-        success: false,
-        message: 'Discussion not found'
-      });
-    }
-
-    // Check permissions
-    if (!discussion.admins.includes(req.user.id) && !req.user.isController) {
-      return res.status(403).json({
-        success: false,
-        message: 'Not authorized to update this discussion'
-      });
-    }
+    const discussion = await findManagedDiscussion(req, res);
+    if (!discussion) return;
 
     // Update fields
     if (title !== undefined) discussion.discussionTitle = title;
@@ -656,6 +1343,88 @@ exports.updateDiscussion = async (req, res, next) => {
   }
 };
 
+// @desc    Pin or unpin discussion, toggles unless `pinned` is given
+// @route   PUT /api/chat/discussions/:id/pin
+// @access  Private/Discussion admins
+exports.pinDiscussion = async (req, res, next) => {
+  try {
+    const discussion = await findManagedDiscussion(req, res);
+    if (!discussion) return;
+
+    discussion.pinned = req.body?.pinned !== undefined ? Boolean(req.body.pinned) : !discussion.pinned;
+    await discussion.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Discussion ${discussion.pinned ? 'pinned' : 'unpinned'}`,
+      pinned: discussion.pinned
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Archive discussion
+// @route   PUT /api/chat/discussions/:id/archive
+// @access  Private/Discussion admins
+exports.archiveDiscussion = async (req, res, next) => {
+  try {
+    const discussion = await findManagedDiscussion(req, res);
+    if (!discussion) return;
+
+    discussion.archived = true;
+    await discussion.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Discussion archived'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Clear chat history, messages are soft deleted like single deletions
+// @route   DELETE /api/chat/discussions/:id/messages
+// @access  Private/Discussion admins
+exports.clearMessages = async (req, res, next) => {
+  try {
+    const discussion = await findManagedDiscussion(req, res);
+    if (!discussion) return;
+
+    const result = await Message.updateMany(
+      { discussionId: discussion.discussionId, deleted: false },
+      { deleted: true, deletedAt: new Date(), deletedBy: req.user.id }
+    );
+
+    if (!isPrivate(discussion)) {
+      await ChatAuditLog.create({
+        discussionId: discussion.discussionId,
+        action: 'clear',
+        actor: req.user.id,
+        reason: req.body?.reason,
+        ip: req.ip
+      });
+    }
+
+    emitToDiscussion(discussion, 'discussion:cleared', {
+      discussionId: discussion.discussionId,
+      clearedBy: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Chat history cleared',
+      deletedCount: result.modifiedCount
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Add participant to discussion
 // @route   POST /api/chat/discussions/:id/participants
 // @access  Private
@@ -672,6 +1441,14 @@ exports.addParticipant = async (req, res, next) => {
       });
     }
 
+    // The participant set identifies a private conversation
+    if (isPrivate(discussion)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Private conversations have fixed participants, start a new conversation instead'
+      });
+    }
+
     // Check permissions
     if (!discussion.admins.includes(req.user.id) && !req.user.isController) {
       return res.status(403).json({
@@ -696,7 +1473,7 @@ exports.addParticipant = async (req, res, next) => {
     }
 
     // Create system message
-    await Message.create({
+    const systemMessage = await Message.create({
       discussionId: discussion.discussionId,
       sender: req.user.id,
       message: `Added ${user.name} to the discussion`,
@@ -707,6 +1484,12 @@ exports.addParticipant = async (req, res, next) => {
     const populatedDiscussion = await Chat.findById(discussion._id)
       .populate('participants', 'name email role avatar avatarColor');
 
+    emitToUsers([userId], 'discussion:new', { discussion: populatedDiscussion });
+    emitToDiscussion(discussion, 'message:new', {
+      discussionId: discussion.discussionId,
+      message: systemMessage
+    });
+
     res.status(200).json({
       success: true,
       discussion: populatedDiscussion,
@@ -734,6 +1517,14 @@ exports.removeParticipant = async (req, res, next) => {
       });
     }
 
+    // The participant set identifies a private conversation
+    if (isPrivate(discussion)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Private conversations have fixed participants, start a new conversation instead'
+      });
+    }
+
     // Check permissions
     if (!discussion.admins.includes(req.user.id) && !req.user.isController) {
       return res.status(403).json({
@@ -764,13 +1555,19 @@ exports.removeParticipant = async (req, res, next) => {
 
     // Create system message
     const user = await User.findById(userId);
-    await Message.create({
+    const systemMessage = await Message.create({
       discussionId: discussion.discussionId,
       sender: req.user.id,
       message: `Removed ${user?.name || 'user'} from the discussion`,
       type: 'system'
     });
 
+    emitToUsers([userId], 'discussion:removed', { discussionId: discussion.discussionId });
+    emitToDiscussion(discussion, 'message:new', {
+      discussionId: discussion.discussionId,
+      message: systemMessage
+    });
+
     res.status(200).json({
       success: true,
       message: 'Participant removed successfully'
@@ -780,3 +1577,609 @@ exports.removeParticipant = async (req, res, next) => {
     next(error);
   }
 };
+
+// @desc    Search messages in the user's discussions
+// @route   GET /api/chat/search
+// @access  Private
+exports.searchMessages = async (req, res, next) => {
+  try {
+    const {
+      query,
+      discussionId,
+      sender,
+      from,
+      to,
+      hasAttachment,
+      mentionsMe,
+      sort = 'relevance'
+    } = req.query;
+
+    if (typeof query !== 'string' || query.trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query must be at least 2 characters'
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page and limit must be positive whole numbers'
+      });
+    }
+
+    if (sender && !mongoose.isValidObjectId(sender)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid sender'
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    // Results never come from discussions the user is not a member of,
+    // whatever discussionId is asked for
+    const discussions = await Chat.find({
+      $or: [
+        { participants: req.user.id },
+        { createdBy: req.user.id }
+      ]
+    }).select('discussionId discussionTitle discussionType');
+
+    const allowed = discussions
+      .map(d => d.discussionId)
+      .filter(id => !discussionId || id === discussionId);
+
+    const filter = {
+      $text: { $search: query.trim() },
+      discussionId: { $in: allowed },
+      deleted: false,
+      hidden: { $ne: true }
+    };
+
+    if (sender) filter.sender = sender;
+    if (fromDate || toDate) {
+      filter.createdAt = {};
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      if (toDate) filter.createdAt.$lte = toDate;
+    }
+    if (hasAttachment === 'true') filter['attachments.0'] = { $exists: true };
+    if (hasAttachment === 'false') filter['attachments.0'] = { $exists: false };
+    if (mentionsMe === 'true') filter.mentions = req.user.id;
+
+    const messages = await Message.find(filter, { score: { $meta: 'textScore' } })
+      .populate('sender', 'name email role avatar avatarColor')
+      .sort(sort === 'recent'
+        ? { createdAt: -1 }
+        : { score: { $meta: 'textScore' }, createdAt: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit);
+
+    const total = await Message.countDocuments(filter);
+
+    const terms = getSearchTerms(query);
+    const titles = new Map(discussions.map(d => [d.discussionId, d.discussionTitle]));
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      total,
+      totalPages: Math.ceil(total / pagination.limit),
+      currentPage: pagination.page,
+      messages: messages.map(msg => ({
+        ...msg.toObject(),
+        discussionTitle: titles.get(msg.discussionId),
+        snippet: highlight(msg.message, terms)
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get messages that mention the user
+// @route   GET /api/chat/mentions
+// @access  Private
+exports.getMentions = async (req, res, next) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    // Only mentions in discussions the user still belongs to
+    const discussions = await Chat.find({
+      $or: [
+        { participants: req.user.id },
+        { createdBy: req.user.id }
+      ]
+    }).select('discussionId discussionTitle');
+
+    const query = {
+      discussionId: { $in: discussions.map(d => d.discussionId) },
+      mentions: req.user.id,
+      deleted: false,
+      hidden: { $ne: true }
+    };
+
+    const cursors = await ChatReadState.find({
+      user: req.user.id,
+      discussionId: { $in: discussions.map(d => d.discussionId) }
+    });
+    const readUpTo = new Map(cursors.map(cursor => [cursor.discussionId, cursor.lastReadAt]));
+
+    if (unread === 'true' && discussions.length > 0) {
+      query.$or = discussions.map(d => ({
+        discussionId: d.discussionId,
+        createdAt: { $gt: readUpTo.get(d.discussionId) || new Date(0) }
+      }));
+    }
+
+    const messages = await Message.find(query)
+      .populate('sender', 'name email role avatar avatarColor')
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Message.countDocuments(query);
+
+    const titles = new Map(discussions.map(d => [d.discussionId, d.discussionTitle]));
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      mentions: messages.map(msg => ({
+        ...msg.toObject(),
+        discussionTitle: titles.get(msg.discussionId),
+        read: msg.createdAt <= (readUpTo.get(msg.discussionId) || new Date(0))
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download a message attachment, ?thumbnail=true for the image preview
+// @route   GET /api/chat/messages/:id/attachments/:attachmentId
+// @access  Private
+exports.downloadAttachment = async (req, res, next) => {
+  try {
+    const message = mongoose.isValidObjectId(req.params.id)
+      ? await Message.findOne({ _id: req.params.id, deleted: false })
+      : null;
+    const attachment = message && message.attachments.id(req.params.attachmentId);
+    const discussion = attachment && await Chat.findOne({ discussionId: message.discussionId });
+
+    if (!discussion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const canModerate = isAdmin(discussion, req.user.id) || isModerator(req.user, discussion);
+    if ((message.hidden && !canModerate) ||
+        (!isMember(discussion, req.user.id) && !(await hasAuditedAccess(req, discussion)))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this discussion'
+      });
+    }
+
+    const thumbnail = req.query.thumbnail === 'true' && attachment.thumbnailKey;
+    const stream = getStorage().createReadStream(thumbnail ? attachment.thumbnailKey : attachment.storageKey);
+
+    stream.on('error', () => {
+      if (!res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Attachment file is missing from storage'
+        });
+      } else {
+        res.end();
+      }
+    });
+
+    stream.once('open', () => {
+      res.setHeader('Content-Type', thumbnail ? 'image/webp' : attachment.type);
+      if (!thumbnail) res.setHeader('Content-Length', attachment.size);
+      res.setHeader('Content-Disposition', contentDisposition(attachment.type.startsWith('image/') ? 'inline' : 'attachment', attachment.name));
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      stream.pipe(res);
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the files shared in a discussion, ?kind=image or file
+// @route   GET /api/chat/discussions/:id/files
+// @access  Private
+exports.getFiles = async (req, res, next) => {
+  try {
+    const { kind, page = 1, limit = 30 } = req.query;
+
+    const discussion = await Chat.findOne({ discussionId: req.params.id });
+    if (!discussion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discussion not found'
+      });
+    }
+
+    if (!isMember(discussion, req.user.id) && !(await hasAuditedAccess(req, discussion))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this discussion'
+      });
+    }
+
+    const match = {
+      discussionId: discussion.discussionId,
+      deleted: false,
+      'attachments.0': { $exists: true }
+    };
+    if (!isAdmin(discussion, req.user.id) && !isModerator(req.user, discussion)) {
+      match.hidden = { $ne: true };
+    }
+
+    const kindMatch = {};
+    if (kind === 'image') kindMatch['attachments.type'] = /^image\//;
+    if (kind === 'file') kindMatch['attachments.type'] = { $not: /^image\// };
+
+    const [result] = await Message.aggregate([
+      { $match: match },
+      { $unwind: '$attachments' },
+      { $match: kindMatch },
+      { $sort: { createdAt: -1 } },
+      {
+        $facet: {
+          files: [
+            { $skip: (page - 1) * limit },
+            { $limit: parseInt(limit) },
+            {
+              $project: {
+                _id: '$attachments._id',
+                messageId: '$_id',
+                sender: 1,
+                createdAt: 1,
+                name: '$attachments.name',
+                url: '$attachments.url',
+                type: '$attachments.type',
+                ext: '$attachments.ext',
+                size: '$attachments.size',
+                thumbnailUrl: '$attachments.thumbnailUrl',
+                width: '$attachments.width',
+                height: '$attachments.height'
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const files = await User.populate(result.files, { path: 'sender', select: 'name email role avatar avatarColor' });
+    const total = result.total[0]?.count || 0;
+
+    res.status(200).json({
+      success: true,
+      count: files.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      files
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Find a message the user can pin or unpin, or send an error
+const findPinnableMessage = async (req, res) => {
+  const message = mongoose.isValidObjectId(req.params.id)
+    ? await Message.findOne({ _id: req.params.id, deleted: false })
+    : null;
+  const discussion = message && await Chat.findOne({ discussionId: message.discussionId });
+
+  if (!discussion) {
+    res.status(404).json({
+      success: false,
+      message: 'Message not found'
+    });
+    return {};
+  }
+
+  if (!canPin(req.user, discussion)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only discussion admins can pin messages'
+    });
+    return {};
+  }
+
+  return { message, discussion };
+};
+
+// @desc    Pin a message
+// @route   POST /api/chat/messages/:id/pin
+// @access  Private/Discussion admins
+exports.pinMessage = async (req, res, next) => {
+  try {
+    const { message, discussion } = await findPinnableMessage(req, res);
+    if (!message) return;
+
+    if (message.parentId || message.hidden) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only visible messages outside threads can be pinned'
+      });
+    }
+
+    if (!message.pinned) {
+      message.pinned = true;
+      message.pinnedAt = new Date();
+      message.pinnedBy = req.user.id;
+      await message.save();
+
+      emitToDiscussion(discussion, 'message:pinned', {
+        discussionId: discussion.discussionId,
+        messageId: message._id,
+        pinned: true,
+        pinnedBy: req.user.id
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Message pinned',
+      data: message
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unpin a message
+// @route   DELETE /api/chat/messages/:id/pin
+// @access  Private/Discussion admins
+exports.unpinMessage = async (req, res, next) => {
+  try {
+    const { message, discussion } = await findPinnableMessage(req, res);
+    if (!message) return;
+
+    if (message.pinned) {
+      message.pinned = false;
+      message.pinnedAt = undefined;
+      message.pinnedBy = undefined;
+      await message.save();
+
+      emitToDiscussion(discussion, 'message:pinned', {
+        discussionId: discussion.discussionId,
+        messageId: message._id,
+        pinned: false,
+        pinnedBy: req.user.id
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Message unpinned',
+      data: message
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the pinned messages of a discussion, latest pin first
+// @route   GET /api/chat/discussions/:id/pins
+// @access  Private
+exports.getPinnedMessages = async (req, res, next) => {
+  try {
+    const discussion = await Chat.findOne({ discussionId: req.params.id });
+    if (!discussion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discussion not found'
+      });
+    }
+
+    if (!isMember(discussion, req.user.id) && !(await hasAuditedAccess(req, discussion))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this discussion'
+      });
+    }
+
+    const messages = await Message.find({
+      discussionId: discussion.discussionId,
+      pinned: true,
+      deleted: false,
+      hidden: { $ne: true }
+    })
+      .populate('sender', 'name email role avatar avatarColor')
+      .populate('pinnedBy', 'name role')
+      .sort('-pinnedAt');
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      messages
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark a discussion read up to a message
+// @route   PUT /api/chat/discussions/:id/read
+// @access  Private
+exports.markRead = async (req, res, next) => {
+  try {
+    const { messageId } = req.body;
+
+    const discussion = await Chat.findOne({ discussionId: req.params.id });
+    if (!discussion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discussion not found'
+      });
+    }
+
+    if (!isMember(discussion, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this discussion'
+      });
+    }
+
+    // Defaults to the newest message of the discussion
+    const message = messageId
+      ? mongoose.isValidObjectId(messageId) &&
+        await Message.findOne({ _id: messageId, discussionId: discussion.discussionId })
+      : await Message.findOne({ discussionId: discussion.discussionId }).sort('-createdAt');
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    await markDiscussionRead(discussion, req.user.id, message);
+
+    const readState = await ChatReadState.findOne({
+      user: req.user.id,
+      discussionId: discussion.discussionId
+    });
+    const unreadCounts = await getUnreadCounts(req.user.id, [discussion.discussionId]);
+
+    res.status(200).json({
+      success: true,
+      readState,
+      unreadCount: unreadCounts.get(discussion.discussionId) || 0
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get unread message counts for the chat badge
+// @route   GET /api/chat/unread
+// @access  Private
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCounts = await getUnreadCounts(req.user.id, await getMemberDiscussionIds(req.user.id));
+
+    res.status(200).json({
+      success: true,
+      total: [...unreadCounts.values()].reduce((sum, count) => sum + count, 0),
+      discussions: Object.fromEntries(unreadCounts)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get who has read a message
+// @route   GET /api/chat/messages/:id/receipts
+// @access  Private
+exports.getReadReceipts = async (req, res, next) => {
+  try {
+    const message = mongoose.isValidObjectId(req.params.id)
+      ? await Message.findById(req.params.id)
+      : null;
+    const discussion = message && await Chat.findOne({ discussionId: message.discussionId });
+
+    if (!discussion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    if (!isMember(discussion, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this discussion'
+      });
+    }
+
+    // Every member whose cursor is at or past the message has read it
+    const readStates = await ChatReadState.find({
+      discussionId: discussion.discussionId,
+      lastReadAt: { $gte: message.createdAt },
+      user: { $ne: message.sender }
+    })
+      .populate('user', 'name email role avatar avatarColor')
+      .sort('lastReadAt');
+
+    const members = new Set([
+      ...discussion.participants.map(id => id.toString()),
+      discussion.createdBy.toString()
+    ]);
+    members.delete(message.sender.toString());
+
+    // The cursor only keeps its last move, so it tells who read the message
+    // but not when
+    const readBy = readStates
+      .filter(state => state.user && members.has(state.user._id.toString()))
+      .map(state => ({ user: state.user }));
+
+    res.status(200).json({
+      success: true,
+      readCount: readBy.length,
+      memberCount: members.size,
+      readBy
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get online presence of council members
+// @route   GET /api/chat/presence
+// @access  Private
+exports.getPresence = async (req, res, next) => {
+  try {
+    const { users } = req.query;
+    const online = getOnlineUsers();
+
+    // Last seen is only known for users who disconnected since the server started
+    const presence = users
+      ? users.split(',').map(userId => ({
+        userId,
+        online: online.includes(userId),
+        lastSeen: getLastSeen(userId)
+      }))
+      : online.map(userId => ({ userId, online: true, lastSeen: null }));
+
+    res.status(200).json({
+      success: true,
+      count: presence.length,
+      presence
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
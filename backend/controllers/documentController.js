@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const Document = require('../models/Document');
+const Meeting = require('../models/Meeting');
+const { getStorage } = require('../utils/storage');
+const { sniffFileType } = require('../utils/fileType');
+const { OFFICER_ROLES } = require('../utils/quorum');
+const { contentDisposition } = require('../utils/helpers');
+
+// Check if user is a council officer
+const isOfficer = (user) => {
+  return user.isController || OFFICER_ROLES.includes(user.role);
+};
+
+// Check if user can upload and manage documents of a meeting
+const canManage = (user, meeting) => {
+  return isOfficer(user) ||
+    meeting.chairperson.toString() === user.id.toString() ||
+    meeting.minutesTaker.toString() === user.id.toString() ||
+    meeting.createdBy.toString() === user.id.toString();
+};
+
+// Check if user is invited to a meeting
+const isParticipant = (user, meeting) => {
+  return meeting.chairperson.toString() === user.id.toString() ||
+    meeting.minutesTaker.toString() === user.id.toString() ||
+    meeting.attendees.some(a => a.user && a.user.toString() === user.id.toString());
+};
+
+// Check if user can see a document of a meeting
+const canView = (user, document, meeting) => {
+  if (canManage(user, meeting)) return true;
+  if (document.visibility === 'officers') return false;
+  return document.visibility === 'council' || isParticipant(user, meeting);
+};
+
+// Shape a document for responses, storage keys stay on the server
+const formatDocument = (document) => {
+  const data = document.toObject();
+  data.versions.forEach(version => delete version.storageKey);
+  return data;
+};
+
+// Sniff and store an uploaded file as a new version of a document
+const storeVersion = async (document, file, user, notes) => {
+  const type = sniffFileType(file.buffer, file.originalname);
+  if (!type) return null;
+
+  const version = document.versions.length + 1;
+  const storageKey = `documents/${document._id}/v${version}-${crypto.randomBytes(6).toString('hex')}.${type.ext}`;
+  await getStorage().save(storageKey, file.buffer);
+
+  document.versions.push({
+    version,
+    storageKey,
+    originalName: file.originalname,
+    mimeType: type.mime,
+    size: file.size,
+    checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+    notes,
+    uploadedBy: user.id
+  });
+  document.currentVersion = version;
+  return document.getVersion(version);
+};
+
+// Find document with its meeting if the user can see it, or send an error
+const findDocument = async (req, res) => {
+  const document = await Document.findById(req.params.id);
+  const meeting = document && await Meeting.findById(document.meeting)
+    .select('chairperson minutesTaker createdBy attendees.user');
+
+  if (!document || !meeting) {
+    res.status(404).json({
+      success: false,
+      message: 'Document not found'
+    });
+    return {};
+  }
+
+  if (!canView(req.user, document, meeting)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this document'
+    });
+    return {};
+  }
+
+  return { document, meeting };
+};
+
+// @desc    Get document library
+// @route   GET /api/documents
+// @access  Private
+exports.getDocuments = async (req, res, next) => {
+  try {
+    const { meeting, agendaItem, category, search, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (meeting) query.meeting = meeting;
+    if (agendaItem) query.agendaItem = agendaItem;
+    if (category) query.category = category;
+    if (search) query.$text = { $search: search };
+
+    // Members only see council-wide documents and those of meetings they attend
+    if (!isOfficer(req.user)) {
+      const userId = req.user.id;
+      const managed = await Meeting.find({
+        $or: [{ chairperson: userId }, { minutesTaker: userId }, { createdBy: userId }]
+      }).distinct('_id');
+      const attended = await Meeting.find({ 'attendees.user': userId }).distinct('_id');
+
+      query.$or = [
+        { meeting: { $in: managed } },
+        { meeting: { $in: attended }, visibility: { $ne: 'officers' } },
+        { visibility: 'council' }
+      ];
+    }
+
+    const documents = await Document.find(query)
+      .select('-versions.storageKey')
+      .populate('meeting', 'meetingId title date')
+      .populate('uploadedBy', 'name role avatar')
+      .sort('-updatedAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Document.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: documents.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      documents
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upload a document to a meeting or agenda item
+// @route   POST /api/documents
+// @access  Private/Meeting officers
+exports.uploadDocument = async (req, res, next) => {
+  try {
+    const { meetingId, agendaItemId, title, description, category, visibility, tags, notes } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a file'
+      });
+    }
+
+    const meeting = await Meeting.findById(meetingId);
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    if (!canManage(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to add documents to this meeting'
+      });
+    }
+
+    if (agendaItemId && !meeting.agenda.id(agendaItemId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Agenda item not found in this meeting'
+      });
+    }
+
+    const document = new Document({
+      title: title || req.file.originalname,
+      description,
+      meeting: meeting._id,
+      agendaItem: agendaItemId,
+      category,
+      visibility,
+      tags: typeof tags === 'string' ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : tags,
+      uploadedBy: req.user.id
+    });
+
+    const version = await storeVersion(document, req.file, req.user, notes);
+    if (!version) {
+      return res.status(400).json({
+        success: false,
+        message: 'File type is not allowed or does not match its extension'
+      });
+    }
+
+    try {
+      await document.save();
+    } catch (error) {
+      await getStorage().remove(version.storageKey);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      document: formatDocument(document)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get document with its versions
+// @route   GET /api/documents/:id
+// @access  Private
+exports.getDocument = async (req, res, next) => {
+  try {
+    const { document } = await findDocument(req, res);
+    if (!document) return;
+
+    await document.populate([
+      { path: 'meeting', select: 'meetingId title date' },
+      { path: 'uploadedBy', select: 'name role avatar' },
+      { path: 'versions.uploadedBy', select: 'name role avatar' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      document: formatDocument(document)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download a document, the current version unless ?version= is given
+// @route   GET /api/documents/:id/download
+// @access  Private
+exports.downloadDocument = async (req, res, next) => {
+  try {
+    const { document } = await findDocument(req, res);
+    if (!document) return;
+
+    const version = document.getVersion(req.query.version || document.currentVersion);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document version not found'
+      });
+    }
+
+    const stream = getStorage().createReadStream(version.storageKey);
+
+    stream.on('error', () => {
+      if (!res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Document file is missing from storage'
+        });
+      } else {
+        res.end();
+      }
+    });
+
+    stream.once('open', () => {
+      res.setHeader('Content-Type', version.mimeType);
+      res.setHeader('Content-Length', version.size);
+      res.setHeader('Content-Disposition', contentDisposition('attachment', version.originalName));
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      stream.pipe(res);
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upload a new version of a document
+// @route   POST /api/documents/:id/versions
+// @access  Private/Meeting officers
+exports.uploadVersion = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a file'
+      });
+    }
+
+    const { document, meeting } = await findDocument(req, res);
+    if (!document) return;
+
+    if (!canManage(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this document'
+      });
+    }
+
+    const version = await storeVersion(document, req.file, req.user, req.body.notes);
+    if (!version) {
+      return res.status(400).json({
+        success: false,
+        message: 'File type is not allowed or does not match its extension'
+      });
+    }
+
+    // Only added while no other upload took the same version number
+    let updated;
+    try {
+      updated = await Document.findOneAndUpdate(
+        { _id: document._id, 'versions.version': { $ne: version.version } },
+        {
+          $push: { versions: version.toObject() },
+          $set: { currentVersion: version.version }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      await getStorage().remove(version.storageKey);
+      throw error;
+    }
+
+    if (!updated) {
+      await getStorage().remove(version.storageKey);
+      return res.status(409).json({
+        success: false,
+        message: 'Another version was uploaded at the same time, please try again'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${version.version} uploaded`,
+      document: formatDocument(updated)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a document and all of its versions
+// @route   DELETE /api/documents/:id
+// @access  Private/Meeting officers
+exports.deleteDocument = async (req, res, next) => {
+  try {
+    const { document, meeting } = await findDocument(req, res);
+    if (!document) return;
+
+    if (!canManage(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this document'
+      });
+    }
+
+    await document.deleteOne();
+    await Promise.all(document.versions.map(version => getStorage().remove(version.storageKey)));
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,298 @@
+const Meeting = require('../models/Meeting');
+
+// Check if user chairs the meeting
+const isChair = (user, meeting) => {
+  return user.isController || meeting.chairperson.toString() === user.id.toString();
+};
+
+// Find meeting the user can run or send an error
+const findChairedMeeting = async (req, res) => {
+  const meeting = await Meeting.findById(req.params.id);
+
+  if (!meeting) {
+    res.status(404).json({
+      success: false,
+      message: 'Meeting not found'
+    });
+    return null;
+  }
+
+  if (!isChair(req.user, meeting)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only the chairperson can run this meeting'
+    });
+    return null;
+  }
+
+  return meeting;
+};
+
+// Send 400 unless the meeting is running
+const requireInProgress = (meeting, res) => {
+  if (meeting.status !== 'in-progress') {
+    res.status(400).json({
+      success: false,
+      message: `Meeting is ${meeting.status}, not in progress`
+    });
+    return false;
+  }
+  return true;
+};
+
+// Build live view of the meeting for the run screen
+const formatLiveState = (meeting, now = new Date()) => {
+  const currentItem = meeting.getCurrentAgendaItem();
+  let current = null;
+
+  if (currentItem) {
+    const elapsed = Math.floor((now - currentItem.startedAt) / 60000);
+    current = {
+      _id: currentItem._id,
+      title: currentItem.title,
+      presenter: currentItem.presenter,
+      plannedDuration: currentItem.duration,
+      startedAt: currentItem.startedAt,
+      elapsed,
+      remaining: currentItem.duration ? currentItem.duration - elapsed : null,
+      overrunning: Boolean(currentItem.duration) && elapsed > currentItem.duration
+    };
+  }
+
+  return {
+    meetingId: meeting.meetingId,
+    status: meeting.status,
+    currentItem: current,
+    pendingItems: meeting.agenda.filter(item => item.status === 'pending').length,
+    timing: meeting.getTimingSummary(now)
+  };
+};
+
+// @desc    Get live state of a meeting
+// @route   GET /api/meetings/:id/live
+// @access  Private
+exports.getLiveState = async (req, res, next) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id);
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      live: formatLiveState(meeting)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start a scheduled meeting
+// @route   POST /api/meetings/:id/live/start
+// @access  Private/Chair
+exports.startMeeting = async (req, res, next) => {
+  try {
+    const meeting = await findChairedMeeting(req, res);
+    if (!meeting) return;
+
+    if (meeting.status !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: `Only scheduled meetings can be started, this meeting is ${meeting.status}`
+      });
+    }
+
+    const now = new Date();
+    meeting.status = 'in-progress';
+    meeting.timing = {
+      startedAt: now,
+      startedBy: req.user.id
+    };
+
+    // Discussion opens with the first pending agenda item
+    const firstItem = meeting.agenda.find(item => item.status === 'pending');
+    if (firstItem) {
+      meeting.startAgendaItem(firstItem, now);
+    }
+
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Meeting started',
+      live: formatLiveState(meeting, now)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete the current agenda item and start the next one
+// @route   POST /api/meetings/:id/live/next
+// @access  Private/Chair
+exports.nextAgendaItem = async (req, res, next) => {
+  try {
+    const meeting = await findChairedMeeting(req, res);
+    if (!meeting) return;
+    if (!requireInProgress(meeting, res)) return;
+
+    const now = new Date();
+    const currentItem = meeting.getCurrentAgendaItem();
+    if (currentItem) {
+      meeting.finishAgendaItem(currentItem, 'completed', now);
+    }
+
+    const nextItem = meeting.agenda.find(item => item.status === 'pending');
+    if (nextItem) {
+      meeting.startAgendaItem(nextItem, now);
+    }
+
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      message: nextItem ? `Now discussing: ${nextItem.title}` : 'All agenda items have been covered',
+      completedItem: currentItem || null,
+      live: formatLiveState(meeting, now)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Postpone an agenda item, optionally into a follow-up meeting
+// @route   POST /api/meetings/:id/live/items/:itemId/postpone
+// @access  Private/Chair
+exports.postponeAgendaItem = async (req, res, next) => {
+  try {
+    const meeting = await findChairedMeeting(req, res);
+    if (!meeting) return;
+    if (!requireInProgress(meeting, res)) return;
+
+    const item = meeting.agenda.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Agenda item not found'
+      });
+    }
+
+    if (!['pending', 'in-progress'].includes(item.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot postpone an agenda item that is ${item.status}`
+      });
+    }
+
+    let followUp = null;
+    if (req.body.followUpMeetingId) {
+      followUp = await Meeting.findById(req.body.followUpMeetingId);
+
+      if (!followUp || followUp._id.equals(meeting._id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Follow-up meeting not found'
+        });
+      }
+
+      if (!['draft', 'scheduled'].includes(followUp.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot add items to a meeting that is ${followUp.status}`
+        });
+      }
+
+      followUp.agenda.push({
+        itemNumber: followUp.agenda.length + 1,
+        title: item.title,
+        presenter: item.presenter,
+        duration: item.duration,
+        description: item.description,
+        carriedFrom: meeting._id
+      });
+      followUp.updatedBy = req.user.id;
+      await followUp.save();
+
+      item.postponedTo = followUp._id;
+    }
+
+    meeting.finishAgendaItem(item, 'postponed');
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      message: followUp
+        ? `Agenda item postponed to meeting ${followUp.meetingId}`
+        : 'Agenda item postponed',
+      item,
+      live: formatLiveState(meeting)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Close a running meeting and record its timing summary
+// @route   POST /api/meetings/:id/live/close
+// @access  Private/Chair
+exports.closeMeeting = async (req, res, next) => {
+  try {
+    const meeting = await findChairedMeeting(req, res);
+    if (!meeting) return;
+    if (!requireInProgress(meeting, res)) return;
+
+    if (meeting.motions.some(motion => motion.status === 'voting')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Close voting on the open motion before closing the meeting'
+      });
+    }
+
+    const now = new Date();
+    const currentItem = meeting.getCurrentAgendaItem();
+    if (currentItem) {
+      meeting.finishAgendaItem(currentItem, 'completed', now);
+    }
+
+    // Items the meeting did not reach are postponed
+    meeting.agenda
+      .filter(item => item.status === 'pending')
+      .forEach(item => meeting.finishAgendaItem(item, 'postponed', now));
+
+    meeting.timing.endedAt = now;
+    meeting.timing.closedBy = req.user.id;
+
+    const summary = meeting.getTimingSummary(now);
+    meeting.timing.scheduledDuration = summary.scheduledDuration;
+    meeting.timing.plannedDuration = summary.plannedDuration;
+    meeting.timing.actualDuration = summary.actualDuration;
+    meeting.timing.overrun = summary.overrun;
+    meeting.timing.itemsCompleted = summary.itemsCompleted;
+    meeting.timing.itemsPostponed = summary.itemsPostponed;
+
+    meeting.status = 'completed';
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Meeting closed',
+      summary
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
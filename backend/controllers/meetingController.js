@@ -1,8 +1,20 @@
+const crypto = require('crypto');
 const Meeting = require('../models/Meeting');
 const User = require('../models/User');
 const Archive = require('../models/Archive');
 const { validationResult } = require('express-validator');
 const sendEmail = require('../utils/emailService');
+const { buildCalendar } = require('../utils/icalendar');
+const { syncPerformanceTasks } = require('../utils/actionItems');
+const { notify } = require('../utils/notifications');
+
+// How far back the iCalendar feed reaches
+const CALENDAR_FEED_HISTORY_DAYS = 90;
+
+// Build subscription URL for a calendar feed token
+const getCalendarFeedUrl = (req, token) => {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar/feed/${token}.ics`;
+};
 
 // @desc    Create new meeting
 // @route   POST /api/meetings
@@ -26,9 +38,29 @@ exports.createMeeting = async (req, res, next) => {
       venue,
       objective,
       agenda,
-      attendees
+      attendees,
+      overrideConflicts
     } = req.body;
 
+    // Check venue and officer availability
+    const conflicts = await Meeting.findConflicts({
+      date,
+      startTime,
+      endTime,
+      venue,
+      chairperson: req.user.id,
+      minutesTaker: req.user.id
+    });
+
+    if (conflicts.length > 0 && !(overrideConflicts && req.user.isController)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Meeting conflicts with existing meetings',
+        canOverride: Boolean(req.user.isController),
+        conflicts
+      });
+    }
+
     // Create meeting
     const meeting = await Meeting.create({
       title,
@@ -42,7 +74,14 @@ exports.createMeeting = async (req, res, next) => {
       minutesTaker: req.user.id,
       createdBy: req.user.id,
       agenda: agenda || [],
-      attendees: attendees || []
+      attendees: attendees || [],
+      ...(conflicts.length > 0 && {
+        conflictOverride: {
+          overriddenBy: req.user.id,
+          overriddenAt: new Date(),
+          meetings: conflicts.map(conflict => conflict.meeting._id)
+        }
+      })
     });
 
     // Update creator's performance
@@ -166,7 +205,7 @@ exports.updateMeeting = async (req, res, next) => {
       });
     }
 
-    let meeting = await Meeting.findById(req.params.id);
+    const meeting = await Meeting.findById(req.params.id);
 
     if (!meeting) {
       return res.status(404).json({
@@ -185,21 +224,61 @@ exports.updateMeeting = async (req, res, next) => {
       });
     }
 
-    // Update meeting
-    meeting = await Meeting.findByIdAndUpdate(
-      req.params.id,
-      {
-        ...req.body,
-        updatedBy: req.user.id
-      },
-      {
-        new: true,
-        runValidators: true
+    const { overrideConflicts, ...updates } = req.body;
+
+    if (updates.minutes !== undefined || updates.minutesApproval !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Minutes are edited and approved through the minutes endpoints'
+      });
+    }
+
+    // Check venue and officer availability when the slot or officers change
+    let conflicts = [];
+
+    if (['date', 'startTime', 'endTime', 'venue', 'chairperson', 'minutesTaker']
+      .some(field => updates[field] !== undefined) && updates.status !== 'cancelled') {
+      conflicts = await Meeting.findConflicts({
+        date: updates.date || meeting.date,
+        startTime: updates.startTime || meeting.startTime,
+        endTime: updates.endTime || meeting.endTime,
+        venue: updates.venue || meeting.venue,
+        chairperson: updates.chairperson || meeting.chairperson,
+        minutesTaker: updates.minutesTaker || meeting.minutesTaker,
+        excludeId: meeting._id
+      });
+
+      if (conflicts.length > 0 && !(overrideConflicts && req.user.isController)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Meeting conflicts with existing meetings',
+          canOverride: Boolean(req.user.isController),
+          conflicts
+        });
       }
-    )
-      .populate('chairperson', 'name email role avatar')
-      .populate('minutesTaker', 'name email role avatar')
-      .populate('attendees.user', 'name email role avatar');
+    }
+
+    // Update meeting, saved so the change is recorded in the version history
+    meeting.applyEdits(updates);
+    meeting.updatedBy = req.user.id;
+    if (conflicts.length > 0) {
+      meeting.conflictOverride = {
+        overriddenBy: req.user.id,
+        overriddenAt: new Date(),
+        meetings: conflicts.map(conflict => conflict.meeting._id)
+      };
+    }
+    // Editing a series occurrence detaches it from later series updates
+    if (meeting.series) {
+      meeting.seriesException = true;
+    }
+    await meeting.save();
+
+    await meeting.populate([
+      { path: 'chairperson', select: 'name email role avatar' },
+      { path: 'minutesTaker', select: 'name email role avatar' },
+      { path: 'attendees.user', select: 'name email role avatar' }
+    ]);
 
     res.status(200).json({
       success: true,
@@ -284,8 +363,31 @@ exports.publishMeeting = async (req, res, next) => {
       });
     }
 
+    // Only the chair can vouch for binding decisions taken without quorum
+    const { quorumOverrideReason } = req.body;
+    if (quorumOverrideReason &&
+        !req.user.isController &&
+        meeting.chairperson.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the chairperson can override the quorum requirement'
+      });
+    }
+
     // Publish meeting
-    await meeting.publish(req.user.id);
+    try {
+      await meeting.publish(req.user.id, { quorumOverrideReason });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        quorum: error.quorum
+      });
+    }
+
+    // Carry unfinished business over to a draft of the next meeting
+    const followUpMeeting = await meeting.createFollowUpMeeting(req.user.id);
 
     // Send notifications to attendees
     const attendees = await User.find({
@@ -320,7 +422,8 @@ exports.publishMeeting = async (req, res, next) => {
     res.status(200).json({
       success: true,
       message: 'Meeting published successfully',
-      meeting
+      meeting,
+      followUpMeeting
     });
 
   } catch (error) {
@@ -478,6 +581,7 @@ exports.completeActionItem = async (req, res, next) => {
       if (user) {
         await user.updatePerformance(0, 1);
       }
+      await syncPerformanceTasks([actionItem.assignee]);
     }
 
     res.status(200).json({
@@ -531,15 +635,14 @@ exports.getCalendarEvents = async (req, res, next) => {
     const { start, end } = req.query;
 
     const query = {};
-    if (start && end) {
-      query.date = {
-        $gte: new Date(start),
-        $lte: new Date(end)
-      };
+    if (start || end) {
+      query.date = {};
+      if (start) query.date.$gte = new Date(start);
+      if (end) query.date.$lte = new Date(end);
     }
 
     const meetings = await Meeting.find(query)
-      .select('title date startTime endTime venue type status')
+      .select('title date startTime endTime venue type status series occurrenceDate seriesException')
       .populate('chairperson', 'name')
       .sort('date');
 
@@ -554,7 +657,10 @@ exports.getCalendarEvents = async (req, res, next) => {
       chairperson: meeting.chairperson?.name,
       extendedProps: {
         meetingId: meeting._id,
-        type: meeting.type
+        type: meeting.type,
+        seriesId: meeting.series,
+        occurrenceDate: meeting.occurrenceDate,
+        isException: meeting.seriesException
       }
     }));
 
@@ -568,13 +674,95 @@ exports.getCalendarEvents = async (req, res, next) => {
   }
 };
 
+// @desc    Get personal iCalendar feed URL
+// @route   GET /api/meetings/calendar/feed-url
+// @access  Private
+exports.getCalendarFeedUrl = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarFeedToken');
+    let token = user.calendarFeedToken;
+
+    if (!token) {
+      token = crypto.randomBytes(24).toString('hex');
+      await User.findByIdAndUpdate(req.user.id, { calendarFeedToken: token });
+    }
+
+    res.status(200).json({
+      success: true,
+      url: getCalendarFeedUrl(req, token)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset personal iCalendar feed URL (invalidates the old one)
+// @route   POST /api/meetings/calendar/feed-url/reset
+// @access  Private
+exports.resetCalendarFeedUrl = async (req, res, next) => {
+  try {
+    const token = crypto.randomBytes(24).toString('hex');
+    await User.findByIdAndUpdate(req.user.id, { calendarFeedToken: token });
+
+    res.status(200).json({
+      success: true,
+      url: getCalendarFeedUrl(req, token)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get iCalendar feed of meetings the member is invited to
+// @route   GET /api/meetings/calendar/feed/:token.ics
+// @access  Public (token in URL)
+exports.getCalendarFeed = async (req, res, next) => {
+  try {
+    const token = req.params.token.replace(/\.ics$/, '');
+
+    const user = await User.findOne({ calendarFeedToken: token, status: 'active' });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const since = new Date();
+    since.setDate(since.getDate() - CALENDAR_FEED_HISTORY_DAYS);
+
+    const meetings = await Meeting.find({
+      $or: [
+        { 'attendees.user': user._id },
+        { chairperson: user._id },
+        { minutesTaker: user._id }
+      ],
+      status: { $ne: 'draft' },
+      date: { $gte: since }
+    }).sort('date');
+
+    const calendar = buildCalendar(meetings, {
+      name: `SIT Council Meetings - ${user.name}`
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="sit-council-meetings.ics"');
+    res.status(200).send(calendar);
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Send meeting reminders
 // @route   POST /api/meetings/:id/reminders
 // @access  Private
 exports.sendReminders = async (req, res, next) => {
   try {
-    const meeting = await Meeting.findById(req.params.id)
-      .populate('attendees.user', 'name email preferences');
+    const meeting = await Meeting.findById(req.params.id);
 
     if (!meeting) {
       return res.status(404).json({
@@ -593,55 +781,30 @@ exports.sendReminders = async (req, res, next) => {
       });
     }
 
-    const remindersSent = [];
-
-    // Send reminders to attendees
-    for (const attendee of meeting.attendees) {
-      if (attendee.user && attendee.user.preferences?.notifications?.email) {
-        try {
-          await sendEmail({
-            email: attendee.user.email,
-            subject: `Meeting Reminder: ${meeting.title}`,
-            message: `
-              Dear ${attendee.user.name},
-              
-              This is a reminder for the upcoming meeting:
-              
-              Meeting: ${meeting.title}
-              Date: ${new Date(meeting.date).toLocaleDateString()}
-              Time: ${meeting.startTime} - ${meeting.endTime}
-              Venue: ${meeting.venue}
-              Type: ${meeting.type}
-              
-              Please be prepared and arrive on time.
-              
-              Best regards,
-              SIT Student Council
-            `
-          });
-
-          remindersSent.push({
-            user: attendee.user._id,
-            email: attendee.user.email,
-            sent: true
-          });
-        } catch (error) {
-          remindersSent.push({
-            user: attendee.user._id,
-            email: attendee.user.email,
-            sent: false,
-            error: error.message
-          });
-        }
-      }
-    }
+    // Delivered in-app and by email according to each attendee's preferences
+    const notifications = await notify(meeting.attendees.map(attendee => attendee.user), {
+      type: 'meeting-reminder',
+      title: `Meeting Reminder: ${meeting.title}`,
+      message: `${meeting.title} (${meeting.type}) on ${new Date(meeting.date).toLocaleDateString()}, ` +
+        `${meeting.startTime} - ${meeting.endTime} at ${meeting.venue}. Please be prepared and arrive on time.`,
+      link: `/meeting/${meeting._id}`,
+      data: { meeting: meeting._id }
+    });
+
+    const remindersSent = notifications.map(notification => ({
+      user: notification.recipient,
+      inApp: notification.channels.inApp,
+      email: notification.channels.email,
+      sent: true
+    }));
 
     // Update meeting reminders
     meeting.reminders.push({
-      type: 'email',
-      sent: true,
+      type: remindersSent.some(reminder => reminder.email) ? 'email' : 'push',
+      sent: remindersSent.length > 0,
       sentAt: new Date()
     });
+    meeting.updatedBy = req.user.id;
 
     await meeting.save();
 
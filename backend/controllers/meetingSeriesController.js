@@ -0,0 +1,503 @@
+const Meeting = require('../models/Meeting');
+const MeetingSeries = require('../models/MeetingSeries');
+const { validationResult } = require('express-validator');
+const { validateRecurrence, toUTCDate, toDateKey } = require('../utils/recurrence');
+const { sendInvitations } = require('../utils/invitations');
+
+// Fields of a series that are copied into its occurrences
+const TEMPLATE_FIELDS = [
+  'title',
+  'type',
+  'startTime',
+  'endTime',
+  'venue',
+  'chairperson',
+  'minutesTaker',
+  'objective',
+  'agenda',
+  'attendees',
+  'tags'
+];
+
+// Fields that can be changed on a single occurrence
+const OCCURRENCE_FIELDS = [
+  'title',
+  'date',
+  'startTime',
+  'endTime',
+  'venue',
+  'chairperson',
+  'minutesTaker',
+  'objective',
+  'agenda',
+  'attendees'
+];
+
+// Template fields that decide whether an occurrence clashes with other meetings
+const SLOT_FIELDS = ['startTime', 'endTime', 'venue', 'chairperson', 'minutesTaker'];
+
+// Check if user can manage a series
+const canManageSeries = (user, series) => {
+  return user.isController ||
+    series.createdBy.toString() === user.id.toString() ||
+    series.chairperson.toString() === user.id.toString();
+};
+
+// Query for occurrences that still follow the series
+const upcomingOccurrencesQuery = (series) => ({
+  series: series._id,
+  seriesException: false,
+  status: { $in: ['draft', 'scheduled'] },
+  date: { $gte: toUTCDate(new Date()) }
+});
+
+// @desc    Create recurring meeting series
+// @route   POST /api/meetings/series
+// @access  Private/Secretary
+exports.createSeries = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { recurrence } = req.body;
+
+    const recurrenceError = validateRecurrence(recurrence);
+    if (recurrenceError) {
+      return res.status(400).json({
+        success: false,
+        message: recurrenceError
+      });
+    }
+
+    const series = new MeetingSeries({
+      ...TEMPLATE_FIELDS.reduce((fields, field) => {
+        if (req.body[field] !== undefined) fields[field] = req.body[field];
+        return fields;
+      }, {}),
+      chairperson: req.body.chairperson || req.user.id,
+      minutesTaker: req.body.minutesTaker || req.user.id,
+      recurrence,
+      createdBy: req.user.id
+    });
+
+    const dates = series.getOccurrenceDates();
+    if (dates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurrence rule does not produce any occurrences'
+      });
+    }
+
+    // Check venue and officer availability for every occurrence
+    const conflicts = [];
+    for (const date of dates) {
+      const found = await Meeting.findConflicts({
+        date,
+        startTime: series.startTime,
+        endTime: series.endTime,
+        venue: series.venue,
+        chairperson: series.chairperson,
+        minutesTaker: series.minutesTaker
+      });
+      if (found.length > 0) {
+        conflicts.push({ date: toDateKey(date), conflicts: found });
+      }
+    }
+
+    if (conflicts.length > 0 && !(req.body.overrideConflicts && req.user.isController)) {
+      return res.status(409).json({
+        success: false,
+        message: `${conflicts.length} occurrence(s) conflict with existing meetings`,
+        canOverride: Boolean(req.user.isController),
+        conflicts
+      });
+    }
+
+    await series.save();
+
+    // Created one by one so each occurrence gets the next meeting ID for its
+    // day. A failure part way removes the series again instead of leaving half.
+    const occurrences = [];
+    try {
+      for (const date of dates) {
+        const occurrence = series.buildOccurrence(date);
+        const overridden = conflicts.find(conflict => conflict.date === toDateKey(date));
+
+        if (overridden) {
+          occurrence.conflictOverride = {
+            overriddenBy: req.user.id,
+            overriddenAt: new Date(),
+            meetings: overridden.conflicts.map(conflict => conflict.meeting._id)
+          };
+        }
+
+        occurrences.push(await Meeting.create(occurrence));
+      }
+    } catch (error) {
+      await Meeting.deleteMany({ series: series._id });
+      await MeetingSeries.deleteOne({ _id: series._id });
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      series,
+      count: occurrences.length,
+      occurrences
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all meeting series
+// @route   GET /api/meetings/series
+// @access  Private
+exports.getAllSeries = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const series = await MeetingSeries.find(query)
+      .populate('chairperson', 'name email role avatar')
+      .populate('minutesTaker', 'name email role avatar')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: series.length,
+      series
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get meeting series with its occurrences
+// @route   GET /api/meetings/series/:id
+// @access  Private
+exports.getSeries = async (req, res, next) => {
+  try {
+    const series = await MeetingSeries.findById(req.params.id)
+      .populate('chairperson', 'name email role avatar')
+      .populate('minutesTaker', 'name email role avatar')
+      .populate('attendees.user', 'name email role avatar');
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting series not found'
+      });
+    }
+
+    const occurrences = await Meeting.find({ series: series._id })
+      .select('meetingId title date startTime endTime venue status seriesException occurrenceDate')
+      .sort('occurrenceDate');
+
+    res.status(200).json({
+      success: true,
+      series,
+      occurrences
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update meeting series and its upcoming occurrences
+// @route   PUT /api/meetings/series/:id
+// @access  Private/Secretary
+exports.updateSeries = async (req, res, next) => {
+  try {
+    const series = await MeetingSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting series not found'
+      });
+    }
+
+    if (!canManageSeries(req.user, series)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this meeting series'
+      });
+    }
+
+    if (req.body.recurrence !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurrence cannot be changed, cancel the series and create a new one'
+      });
+    }
+
+    if (series.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot update a series that is ${series.status}`
+      });
+    }
+
+    const changes = TEMPLATE_FIELDS.filter(field => req.body[field] !== undefined);
+    changes.forEach(field => {
+      series[field] = req.body[field];
+    });
+
+    // Apply to upcoming occurrences that were not edited individually
+    const occurrences = await Meeting.find(upcomingOccurrencesQuery(series));
+    occurrences.forEach(occurrence => {
+      const template = series.buildOccurrence(occurrence.date);
+      changes.forEach(field => {
+        occurrence[field] = template[field];
+      });
+    });
+
+    // Check venue and officer availability when the slot or officers change
+    const conflicts = [];
+    if (changes.some(field => SLOT_FIELDS.includes(field))) {
+      for (const occurrence of occurrences) {
+        const found = await Meeting.findConflicts({
+          date: occurrence.date,
+          startTime: occurrence.startTime,
+          endTime: occurrence.endTime,
+          venue: occurrence.venue,
+          chairperson: occurrence.chairperson,
+          minutesTaker: occurrence.minutesTaker,
+          excludeId: occurrence._id
+        });
+        if (found.length > 0) {
+          conflicts.push({ date: toDateKey(occurrence.date), meeting: occurrence._id, conflicts: found });
+        }
+      }
+    }
+
+    if (conflicts.length > 0 && !(req.body.overrideConflicts && req.user.isController)) {
+      return res.status(409).json({
+        success: false,
+        message: `${conflicts.length} occurrence(s) conflict with existing meetings`,
+        canOverride: Boolean(req.user.isController),
+        conflicts
+      });
+    }
+
+    series.updatedBy = req.user.id;
+    await series.save();
+
+    for (const occurrence of occurrences) {
+      const overridden = conflicts.find(conflict => conflict.meeting.equals(occurrence._id));
+
+      if (overridden) {
+        occurrence.conflictOverride = {
+          overriddenBy: req.user.id,
+          overriddenAt: new Date(),
+          meetings: overridden.conflicts.map(conflict => conflict.meeting._id)
+        };
+      }
+
+      occurrence.updatedBy = req.user.id;
+      await occurrence.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      series,
+      updatedOccurrences: occurrences.length
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel meeting series and its upcoming occurrences
+// @route   DELETE /api/meetings/series/:id
+// @access  Private/Secretary
+exports.cancelSeries = async (req, res, next) => {
+  try {
+    const series = await MeetingSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting series not found'
+      });
+    }
+
+    if (!canManageSeries(req.user, series)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this meeting series'
+      });
+    }
+
+    series.status = 'cancelled';
+    series.updatedBy = req.user.id;
+    await series.save();
+
+    // Saved one by one so each occurrence records a version and a new
+    // calendar sequence, attendees then get the cancellation invite
+    const occurrences = await Meeting.find(upcomingOccurrencesQuery(series));
+    for (const occurrence of occurrences) {
+      occurrence.status = 'cancelled';
+      occurrence.updatedBy = req.user.id;
+      await occurrence.save();
+      await sendInvitations(occurrence);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Meeting series cancelled',
+      cancelledOccurrences: occurrences.length
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Edit a single occurrence without touching the series
+// @route   PUT /api/meetings/series/:id/occurrences/:meetingId
+// @access  Private/Secretary
+exports.updateOccurrence = async (req, res, next) => {
+  try {
+    const series = await MeetingSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting series not found'
+      });
+    }
+
+    if (!canManageSeries(req.user, series)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this meeting series'
+      });
+    }
+
+    const occurrence = await Meeting.findOne({
+      _id: req.params.meetingId,
+      series: series._id
+    });
+
+    if (!occurrence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found in this series'
+      });
+    }
+
+    OCCURRENCE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) occurrence[field] = req.body[field];
+    });
+
+    // Check venue and officer availability for the edited slot
+    const conflicts = await Meeting.findConflicts({
+      date: occurrence.date,
+      startTime: occurrence.startTime,
+      endTime: occurrence.endTime,
+      venue: occurrence.venue,
+      chairperson: occurrence.chairperson,
+      minutesTaker: occurrence.minutesTaker,
+      excludeId: occurrence._id
+    });
+
+    if (conflicts.length > 0) {
+      if (!(req.body.overrideConflicts && req.user.isController)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Meeting conflicts with existing meetings',
+          canOverride: Boolean(req.user.isController),
+          conflicts
+        });
+      }
+
+      occurrence.conflictOverride = {
+        overriddenBy: req.user.id,
+        overriddenAt: new Date(),
+        meetings: conflicts.map(conflict => conflict.meeting._id)
+      };
+    }
+
+    occurrence.seriesException = true;
+    occurrence.updatedBy = req.user.id;
+    await occurrence.save();
+
+    res.status(200).json({
+      success: true,
+      meeting: occurrence
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a single occurrence
+// @route   POST /api/meetings/series/:id/occurrences/:meetingId/cancel
+// @access  Private/Secretary
+exports.cancelOccurrence = async (req, res, next) => {
+  try {
+    const series = await MeetingSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting series not found'
+      });
+    }
+
+    if (!canManageSeries(req.user, series)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel occurrences of this series'
+      });
+    }
+
+    const occurrence = await Meeting.findOne({
+      _id: req.params.meetingId,
+      series: series._id
+    });
+
+    if (!occurrence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Occurrence not found in this series'
+      });
+    }
+
+    if (['in-progress', 'completed'].includes(occurrence.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a meeting that is ${occurrence.status}`
+      });
+    }
+
+    occurrence.status = 'cancelled';
+    occurrence.seriesException = true;
+    occurrence.updatedBy = req.user.id;
+    await occurrence.save();
+    await sendInvitations(occurrence);
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence cancelled',
+      meeting: occurrence
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
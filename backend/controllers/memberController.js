@@ -3,6 +3,7 @@ const Performance = require('../models/Member');
 const Meeting = require('../models/Meeting');
 const { generateAvatar, generateAvatarColor, calculatePerformanceScore } = require('../utils/helpers');
 const { sendWelcomeEmail } = require('../utils/emailService');
+const { notify } = require('../utils/notifications');
 
 // @desc    Get all council members
 // @route   GET /api/members
@@ -322,6 +323,16 @@ exports.updatePerformance = async (req, res) => {
       'performance.points': performance.points.total
     });
     
+    if (achievements && achievements.length > 0) {
+      await notify([req.params.id], {
+        type: 'award',
+        title: achievements.length === 1 ? 'You received an award' : `You received ${achievements.length} awards`,
+        message: `Congratulations! You have been recognized for: ${achievements.join(', ')}`,
+        link: '/profile',
+        data: { awards: achievements }
+      });
+    }
+    
     res.status(200).json({
       status: 'success',
       message: 'Performance updated successfully',
@@ -0,0 +1,290 @@
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const { OFFICER_ROLES } = require('../utils/quorum');
+
+// Check if user can submit the minutes of a meeting
+const canSubmit = (user, meeting) => {
+  return user.isController ||
+    user.role === 'Secretary' ||
+    meeting.minutesTaker.toString() === user.id.toString();
+};
+
+// Find meeting or send 404
+const findMeeting = async (req, res) => {
+  const meeting = await Meeting.findById(req.params.id);
+
+  if (!meeting) {
+    res.status(404).json({
+      success: false,
+      message: 'Meeting not found'
+    });
+  }
+
+  return meeting;
+};
+
+// @desc    Get review status of the minutes
+// @route   GET /api/meetings/:id/minutes/approval
+// @access  Private
+exports.getMinutesApproval = async (req, res, next) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id)
+      .select('meetingId title minutesApproval')
+      .populate('minutesApproval.submittedBy', 'name role avatar')
+      .populate('minutesApproval.reviewers', 'name role avatar')
+      .populate('minutesApproval.reviews.reviewer', 'name role avatar')
+      .populate('minutesApproval.adoptedIn', 'meetingId title date')
+      .populate('minutesApproval.amendments.proposedBy', 'name role');
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    const approval = meeting.minutesApproval;
+    const approvedBy = approval.reviews
+      .filter(review => review.round === approval.round && review.decision === 'approved')
+      .map(review => review.reviewer);
+
+    res.status(200).json({
+      success: true,
+      approval,
+      approvedBy
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Submit draft minutes for review
+// @route   POST /api/meetings/:id/minutes/submit
+// @access  Private/Secretary
+exports.submitMinutes = async (req, res, next) => {
+  try {
+    const meeting = await findMeeting(req, res);
+    if (!meeting) return;
+
+    if (!canSubmit(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the secretary or minutes taker can submit minutes'
+      });
+    }
+
+    if (!meeting.canEditMinutes()) {
+      return res.status(400).json({
+        success: false,
+        message: `Minutes are already ${meeting.minutesApproval.status}`
+      });
+    }
+
+    if (!meeting.minutes?.summary) {
+      return res.status(400).json({
+        success: false,
+        message: 'Meeting minutes are required before submitting'
+      });
+    }
+
+    // The chairperson always reviews, other officers can be asked to as well
+    const reviewers = [meeting.chairperson];
+    if (Array.isArray(req.body.reviewers) && req.body.reviewers.length > 0) {
+      const officers = await User.find({
+        _id: { $in: req.body.reviewers },
+        role: { $in: OFFICER_ROLES }
+      }).select('_id');
+
+      if (officers.length !== req.body.reviewers.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reviewers must be council officers'
+        });
+      }
+
+      officers
+        .filter(officer => !reviewers.some(id => id.equals(officer._id)))
+        .forEach(officer => reviewers.push(officer._id));
+    }
+
+    meeting.minutesApproval.status = 'submitted';
+    meeting.minutesApproval.round += 1;
+    meeting.minutesApproval.submittedBy = req.user.id;
+    meeting.minutesApproval.submittedAt = new Date();
+    meeting.minutesApproval.reviewers = reviewers;
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Minutes submitted to ${reviewers.length} reviewer(s)`,
+      approval: meeting.minutesApproval
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve minutes or request changes
+// @route   POST /api/meetings/:id/minutes/review
+// @access  Private/Reviewers
+exports.reviewMinutes = async (req, res, next) => {
+  try {
+    const { decision, comment, lineComments = [] } = req.body;
+
+    if (!['approved', 'changes-requested'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be approved or changes-requested'
+      });
+    }
+
+    if (decision === 'changes-requested' && !comment && lineComments.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Explain the requested changes with a comment'
+      });
+    }
+
+    const meeting = await findMeeting(req, res);
+    if (!meeting) return;
+
+    const approval = meeting.minutesApproval;
+
+    if (approval.status !== 'submitted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Minutes are not awaiting review'
+      });
+    }
+
+    if (!approval.reviewers.some(id => id.toString() === req.user.id.toString())) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not a reviewer of these minutes'
+      });
+    }
+
+    if (approval.reviews.some(review =>
+      review.round === approval.round && review.reviewer.toString() === req.user.id.toString()
+    )) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this draft'
+      });
+    }
+
+    approval.reviews.push({
+      reviewer: req.user.id,
+      round: approval.round,
+      decision,
+      comment,
+      lineComments
+    });
+
+    if (decision === 'changes-requested') {
+      approval.status = 'changes-requested';
+    } else {
+      // Approved once every reviewer of this round has approved
+      const approvedBy = approval.reviews
+        .filter(review => review.round === approval.round && review.decision === 'approved')
+        .map(review => review.reviewer.toString());
+
+      if (approval.reviewers.every(id => approvedBy.includes(id.toString()))) {
+        approval.status = 'approved';
+        approval.approvedAt = new Date();
+      }
+    }
+
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      message: approval.status === 'approved'
+        ? 'Minutes approved'
+        : approval.status === 'changes-requested' ? 'Changes requested' : 'Review recorded',
+      approval
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Adopt approved minutes at a later meeting
+// @route   POST /api/meetings/:id/minutes/adopt
+// @access  Private/Chair
+exports.adoptMinutes = async (req, res, next) => {
+  try {
+    const { meetingId, amendments = [] } = req.body;
+
+    const meeting = await findMeeting(req, res);
+    if (!meeting) return;
+
+    if (meeting.minutesApproval.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: meeting.minutesApproval.status === 'adopted'
+          ? 'Minutes have already been adopted'
+          : 'Only approved minutes can be adopted'
+      });
+    }
+
+    // Adopted at the follow-up meeting unless another one is given
+    const adoptingMeeting = await Meeting.findById(meetingId || meeting.followUpMeeting);
+
+    if (!adoptingMeeting || adoptingMeeting._id.equals(meeting._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Adopting meeting not found'
+      });
+    }
+
+    if (!['in-progress', 'completed'].includes(adoptingMeeting.status) || adoptingMeeting.date < meeting.date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Minutes are adopted during a later meeting that has taken place'
+      });
+    }
+
+    if (!req.user.isController && adoptingMeeting.chairperson.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the chairperson of the adopting meeting can adopt minutes'
+      });
+    }
+
+    if (amendments.some(amendment => !amendment.amended)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every amendment needs the amended text'
+      });
+    }
+
+    meeting.minutesApproval.amendments = amendments.map(amendment => ({
+      section: amendment.section,
+      original: amendment.original,
+      amended: amendment.amended,
+      proposedBy: amendment.proposedBy || req.user.id
+    }));
+    meeting.minutesApproval.status = 'adopted';
+    meeting.minutesApproval.adoptedIn = adoptingMeeting._id;
+    meeting.minutesApproval.adoptedAt = new Date();
+    meeting.minutesApproval.adoptedBy = req.user.id;
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Minutes adopted at meeting ${adoptingMeeting.meetingId}` +
+        (amendments.length > 0 ? ` with ${amendments.length} amendment(s)` : ''),
+      approval: meeting.minutesApproval
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,620 @@
+const mongoose = require('mongoose');
+const { Chat, Message } = require('../models/Chat');
+const User = require('../models/User');
+const ChatAuditLog = require('../models/ChatAuditLog');
+const MessageReport = require('../models/MessageReport');
+const { validationResult } = require('express-validator');
+const { emitToDiscussion, emitToUsers } = require('../utils/socket');
+const { isPrivate, isMember, isAdmin } = require('../utils/chatAccess');
+const { parsePagination } = require('../utils/helpers');
+
+// Longest mute a moderator can hand out, in minutes (30 days)
+const MAX_MUTE_MINUTES = 30 * 24 * 60;
+
+// Discussion admins moderate their discussion, controllers every discussion
+// except private conversations
+const canModerate = (user, discussion) => {
+  return isAdmin(discussion, user.id) || (Boolean(user.isController) && !isPrivate(discussion));
+};
+
+// Reported messages of private conversations are handled by controllers, the
+// report being the participant's consent to show the message
+const canModerateMessage = async (user, discussion, message) => {
+  if (canModerate(user, discussion)) return true;
+  if (!user.isController || !isPrivate(discussion)) return false;
+  return Boolean(await MessageReport.exists({ message: message._id }));
+};
+
+const writeAudit = (req, discussion, action, fields = {}) => {
+  return ChatAuditLog.create({
+    discussionId: discussion.discussionId,
+    action,
+    actor: req.user.id,
+    ip: req.ip,
+    ...fields
+  });
+};
+
+// Find message with its discussion or send 404
+const findMessage = async (req, res) => {
+  const message = mongoose.isValidObjectId(req.params.id)
+    ? await Message.findById(req.params.id)
+    : null;
+  const discussion = message && !message.deleted &&
+    await Chat.findOne({ discussionId: message.discussionId });
+
+  if (!discussion) {
+    res.status(404).json({
+      success: false,
+      message: 'Message not found'
+    });
+    return {};
+  }
+
+  return { message, discussion };
+};
+
+// Find discussion the user moderates or send an error
+const findModeratedDiscussion = async (req, res) => {
+  const discussion = await Chat.findOne({ discussionId: req.params.id });
+
+  if (!discussion) {
+    res.status(404).json({
+      success: false,
+      message: 'Discussion not found'
+    });
+    return null;
+  }
+
+  if (!canModerate(req.user, discussion)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only discussion admins can moderate this discussion'
+    });
+    return null;
+  }
+
+  return discussion;
+};
+
+// Close the open reports of a message
+const resolveReports = (message, userId, status, resolution) => {
+  return MessageReport.updateMany(
+    { message: message._id, status: 'open' },
+    { status, resolution, resolvedBy: userId, resolvedAt: new Date() }
+  );
+};
+
+// Push new reply count of a thread after one of its replies changed visibility
+const refreshThread = async (discussion, parentId) => {
+  const parent = await Message.refreshThread(parentId);
+  if (!parent) return;
+
+  emitToDiscussion(discussion, 'thread:updated', {
+    discussionId: discussion.discussionId,
+    parentId: parent._id,
+    replyCount: parent.replyCount,
+    lastReplyAt: parent.lastReplyAt
+  });
+};
+
+// @desc    Report a message to the discussion moderators
+// @route   POST /api/chat/messages/:id/report
+// @access  Private
+exports.reportMessage = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { reason, details } = req.body;
+
+    const { message, discussion } = await findMessage(req, res);
+    if (!message) return;
+
+    if (!isMember(discussion, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to report messages in this discussion'
+      });
+    }
+
+    if (message.sender.toString() === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own message'
+      });
+    }
+
+    let report;
+    try {
+      report = await MessageReport.create({
+        message: message._id,
+        discussionId: discussion.discussionId,
+        reporter: req.user.id,
+        reason,
+        details
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this message'
+      });
+    }
+
+    await writeAudit(req, discussion, 'report', {
+      message: message._id,
+      targetUser: message.sender,
+      reason
+    });
+
+    emitToUsers(discussion.admins, 'moderation:report', {
+      discussionId: discussion.discussionId,
+      messageId: message._id,
+      reason
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Message reported to the moderators',
+      report
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get reported messages of the discussions the user moderates
+// @route   GET /api/chat/moderation/queue
+// @access  Private/Discussion admins
+exports.getModerationQueue = async (req, res, next) => {
+  try {
+    const { status = 'open', discussionId } = req.query;
+
+    if (!MessageReport.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report status'
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page and limit must be positive whole numbers'
+      });
+    }
+
+    // Controllers see every report, admins those of their discussions
+    const match = { status };
+    if (!req.user.isController) {
+      const moderated = await Chat.find({ admins: req.user.id }).distinct('discussionId');
+      match.discussionId = { $in: moderated };
+    }
+    if (discussionId) {
+      match.discussionId = match.discussionId
+        ? { $in: match.discussionId.$in.filter(id => id === String(discussionId)) }
+        : String(discussionId);
+    }
+
+    const queue = await MessageReport.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$message',
+          discussionId: { $first: '$discussionId' },
+          reportCount: { $sum: 1 },
+          reasons: { $addToSet: '$reason' },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' },
+          reports: {
+            $push: { reporter: '$reporter', reason: '$reason', details: '$details', createdAt: '$createdAt' }
+          }
+        }
+      },
+      { $sort: { reportCount: -1, lastReportedAt: -1 } },
+      { $skip: pagination.skip },
+      { $limit: pagination.limit }
+    ]);
+
+    const total = (await MessageReport.distinct('message', match)).length;
+
+    const messages = await Message.find({ _id: { $in: queue.map(entry => entry._id) } })
+      .populate('sender', 'name email role avatar avatarColor');
+    const discussions = await Chat.find({ discussionId: { $in: queue.map(entry => entry.discussionId) } })
+      .select('discussionId discussionTitle discussionType');
+    await User.populate(queue, { path: 'reports.reporter', select: 'name role avatar' });
+
+    res.status(200).json({
+      success: true,
+      count: queue.length,
+      total,
+      totalPages: Math.ceil(total / pagination.limit),
+      currentPage: pagination.page,
+      queue: queue.map(entry => ({
+        ...entry,
+        message: messages.find(msg => msg._id.equals(entry._id)) || null,
+        discussion: discussions.find(d => d.discussionId === entry.discussionId) || null
+      }))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Hide a message from everyone but the moderators
+// @route   POST /api/chat/messages/:id/hide
+// @access  Private/Discussion admins
+exports.hideMessage = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const { message, discussion } = await findMessage(req, res);
+    if (!message) return;
+
+    if (!(await canModerateMessage(req.user, discussion, message))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only discussion admins can hide messages'
+      });
+    }
+
+    if (message.hidden) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message is already hidden'
+      });
+    }
+
+    message.hidden = true;
+    message.hiddenAt = new Date();
+    message.hiddenBy = req.user.id;
+    message.hiddenReason = reason;
+    await message.save();
+
+    await resolveReports(message, req.user.id, 'resolved', 'hidden');
+    await writeAudit(req, discussion, 'hide', {
+      message: message._id,
+      targetUser: message.sender,
+      reason
+    });
+
+    emitToDiscussion(discussion, 'message:hidden', {
+      discussionId: discussion.discussionId,
+      messageId: message._id
+    });
+    if (message.parentId) await refreshThread(discussion, message.parentId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Message hidden'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Show a hidden message again
+// @route   DELETE /api/chat/messages/:id/hide
+// @access  Private/Discussion admins
+exports.unhideMessage = async (req, res, next) => {
+  try {
+    const { message, discussion } = await findMessage(req, res);
+    if (!message) return;
+
+    if (!(await canModerateMessage(req.user, discussion, message))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only discussion admins can unhide messages'
+      });
+    }
+
+    if (!message.hidden) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message is not hidden'
+      });
+    }
+
+    message.hidden = false;
+    message.hiddenAt = undefined;
+    message.hiddenBy = undefined;
+    message.hiddenReason = undefined;
+    await message.save();
+
+    await writeAudit(req, discussion, 'unhide', {
+      message: message._id,
+      targetUser: message.sender,
+      reason: req.body.reason
+    });
+
+    const populatedMessage = await Message.findById(message._id)
+      .populate('sender', 'name email role avatar avatarColor')
+      .populate('mentions', 'name email role avatar');
+
+    emitToDiscussion(discussion, 'message:updated', {
+      discussionId: discussion.discussionId,
+      message: populatedMessage
+    });
+    if (message.parentId) await refreshThread(discussion, message.parentId);
+
+    res.status(200).json({
+      success: true,
+      message: populatedMessage
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Dismiss the open reports of a message
+// @route   POST /api/chat/messages/:id/reports/dismiss
+// @access  Private/Discussion admins
+exports.dismissReports = async (req, res, next) => {
+  try {
+    const { message, discussion } = await findMessage(req, res);
+    if (!message) return;
+
+    if (!(await canModerateMessage(req.user, discussion, message))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only discussion admins can dismiss reports'
+      });
+    }
+
+    const { modifiedCount } = await resolveReports(message, req.user.id, 'dismissed', 'dismissed');
+
+    if (modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message has no open reports'
+      });
+    }
+
+    await writeAudit(req, discussion, 'dismiss-reports', {
+      message: message._id,
+      targetUser: message.sender,
+      reason: req.body.reason,
+      details: { reports: modifiedCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${modifiedCount} report(s) dismissed`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mute a participant for a number of minutes
+// @route   POST /api/chat/discussions/:id/mutes
+// @access  Private/Discussion admins
+exports.muteParticipant = async (req, res, next) => {
+  try {
+    const { userId, reason } = req.body;
+    const minutes = parseInt(req.body.minutes);
+
+    if (!minutes || minutes < 1 || minutes > MAX_MUTE_MINUTES) {
+      return res.status(400).json({
+        success: false,
+        message: `Mute duration must be between 1 and ${MAX_MUTE_MINUTES} minutes`
+      });
+    }
+
+    const discussion = await findModeratedDiscussion(req, res);
+    if (!discussion) return;
+
+    if (!userId || !isMember(discussion, userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Participant not found in this discussion'
+      });
+    }
+
+    if (userId === req.user.id.toString() || isAdmin(discussion, userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Discussion admins cannot be muted'
+      });
+    }
+
+    const until = new Date(Date.now() + minutes * 60 * 1000);
+
+    discussion.mutes = discussion.mutes.filter(mute => mute.user.toString() !== userId);
+    discussion.mutes.push({
+      user: userId,
+      until,
+      reason,
+      mutedBy: req.user.id
+    });
+    await discussion.save();
+
+    await writeAudit(req, discussion, 'mute', {
+      targetUser: userId,
+      reason,
+      details: { minutes, until }
+    });
+
+    emitToUsers([userId], 'discussion:muted', {
+      discussionId: discussion.discussionId,
+      until,
+      reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Participant muted until ${until.toISOString()}`,
+      mute: discussion.getActiveMute(userId)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Lift the mute of a participant
+// @route   DELETE /api/chat/discussions/:id/mutes/:userId
+// @access  Private/Discussion admins
+exports.unmuteParticipant = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+
+    const discussion = await findModeratedDiscussion(req, res);
+    if (!discussion) return;
+
+    if (!discussion.getActiveMute(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Participant is not muted'
+      });
+    }
+
+    discussion.mutes = discussion.mutes.filter(mute => mute.user.toString() !== userId);
+    await discussion.save();
+
+    await writeAudit(req, discussion, 'unmute', {
+      targetUser: userId,
+      reason: req.body.reason
+    });
+
+    emitToUsers([userId], 'discussion:unmuted', {
+      discussionId: discussion.discussionId
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Participant unmuted'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Lock a discussion read-only or unlock it
+// @route   PUT /api/chat/discussions/:id/lock
+// @access  Private/Discussion admins
+exports.lockDiscussion = async (req, res, next) => {
+  try {
+    const { locked = true, reason } = req.body;
+
+    const discussion = await findModeratedDiscussion(req, res);
+    if (!discussion) return;
+
+    if (discussion.locked === Boolean(locked)) {
+      return res.status(400).json({
+        success: false,
+        message: `Discussion is already ${discussion.locked ? 'locked' : 'unlocked'}`
+      });
+    }
+
+    discussion.locked = Boolean(locked);
+    discussion.lockedBy = locked ? req.user.id : undefined;
+    discussion.lockedAt = locked ? new Date() : undefined;
+    discussion.lockReason = locked ? reason : undefined;
+    await discussion.save();
+
+    await writeAudit(req, discussion, locked ? 'lock' : 'unlock', { reason });
+
+    const systemMessage = await Message.create({
+      discussionId: discussion.discussionId,
+      sender: req.user.id,
+      message: locked
+        ? `${req.user.name} locked the discussion${reason ? `: ${reason}` : ''}`
+        : `${req.user.name} unlocked the discussion`,
+      type: 'system'
+    });
+
+    emitToDiscussion(discussion, 'discussion:locked', {
+      discussionId: discussion.discussionId,
+      locked: discussion.locked,
+      reason: discussion.lockReason
+    });
+    emitToDiscussion(discussion, 'message:new', {
+      discussionId: discussion.discussionId,
+      message: systemMessage
+    });
+
+    res.status(200).json({
+      success: true,
+      message: locked ? 'Discussion locked' : 'Discussion unlocked',
+      discussion
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get moderation audit trail of a discussion
+// @route   GET /api/chat/discussions/:id/audit
+// @access  Private/Discussion admins
+exports.getAuditLog = async (req, res, next) => {
+  try {
+    const { action } = req.query;
+
+    const pagination = parsePagination(req.query, 50);
+    if (!pagination) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page and limit must be positive whole numbers'
+      });
+    }
+
+    const discussion = await Chat.findOne({ discussionId: req.params.id });
+
+    if (!discussion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discussion not found'
+      });
+    }
+
+    // Participants of a private conversation can see who opened it
+    const canView = canModerate(req.user, discussion) ||
+      (isPrivate(discussion) && (isMember(discussion, req.user.id) || req.user.isController));
+
+    if (!canView) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view the audit trail of this discussion'
+      });
+    }
+
+    const query = { discussionId: discussion.discussionId };
+    if (action) query.action = String(action);
+
+    const entries = await ChatAuditLog.find(query)
+      .populate('actor', 'name role avatar')
+      .populate('targetUser', 'name role avatar')
+      .sort('-createdAt')
+      .skip(pagination.skip)
+      .limit(pagination.limit);
+
+    const total = await ChatAuditLog.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      totalPages: Math.ceil(total / pagination.limit),
+      currentPage: pagination.page,
+      entries
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
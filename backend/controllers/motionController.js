@@ -0,0 +1,504 @@
+const Meeting = require('../models/Meeting');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+
+// Check if user chairs the meeting
+const isChair = (user, meeting) => {
+  return user.isController || meeting.chairperson.toString() === user.id.toString();
+};
+
+// Hide who voted what on secret ballots, and the tally until voting closes
+const formatMotion = (motion) => {
+  const data = motion.toObject();
+  if (data.votingMethod === 'secret') {
+    delete data.ballots;
+  }
+  if (Meeting.isTallyHidden(data)) {
+    delete data.tally;
+  }
+  return data;
+};
+
+// Find meeting and motion or send 404
+const findMotion = async (req, res) => {
+  const meeting = await Meeting.findById(req.params.id);
+
+  if (!meeting) {
+    res.status(404).json({
+      success: false,
+      message: 'Meeting not found'
+    });
+    return {};
+  }
+
+  const motion = meeting.motions.id(req.params.motionId);
+
+  if (!motion) {
+    res.status(404).json({
+      success: false,
+      message: 'Motion not found'
+    });
+    return {};
+  }
+
+  return { meeting, motion };
+};
+
+// @desc    Get motions of a meeting
+// @route   GET /api/meetings/:id/motions
+// @access  Private
+exports.getMotions = async (req, res, next) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id)
+      .select('motions agenda attendees')
+      .populate('motions.proposedBy', 'name role avatar')
+      .populate('motions.secondedBy', 'name role avatar')
+      .populate('motions.ballots.member', 'name role avatar');
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    const { agendaItem, status } = req.query;
+
+    const motions = meeting.motions
+      .filter(motion => !agendaItem || motion.agendaItem.toString() === agendaItem)
+      .filter(motion => !status || motion.status === status)
+      .map(formatMotion);
+
+    res.status(200).json({
+      success: true,
+      count: motions.length,
+      motions
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Propose a motion on an agenda item
+// @route   POST /api/meetings/:id/motions
+// @access  Private
+exports.proposeMotion = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { agendaItemId, title, text, votingMethod } = req.body;
+
+    const meeting = await Meeting.findById(req.params.id);
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    if (!meeting.agenda.id(agendaItemId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Motion must be tied to an agenda item of this meeting'
+      });
+    }
+
+    if (!meeting.isPresent(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only members present at the meeting can propose motions'
+      });
+    }
+
+    meeting.motions.push({
+      agendaItem: agendaItemId,
+      title,
+      text,
+      votingMethod: votingMethod || 'roll-call',
+      proposedBy: req.user.id
+    });
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(201).json({
+      success: true,
+      motion: formatMotion(meeting.motions[meeting.motions.length - 1])
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Second a motion
+// @route   POST /api/meetings/:id/motions/:motionId/second
+// @access  Private
+exports.secondMotion = async (req, res, next) => {
+  try {
+    const { meeting, motion } = await findMotion(req, res);
+    if (!motion) return;
+
+    if (motion.status !== 'proposed') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot second a motion that is ${motion.status}`
+      });
+    }
+
+    if (motion.proposedBy.toString() === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A motion cannot be seconded by its proposer'
+      });
+    }
+
+    if (!meeting.isPresent(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only members present at the meeting can second motions'
+      });
+    }
+
+    motion.secondedBy = req.user.id;
+    motion.status = 'seconded';
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      motion: formatMotion(motion)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Withdraw a motion before voting
+// @route   POST /api/meetings/:id/motions/:motionId/withdraw
+// @access  Private
+exports.withdrawMotion = async (req, res, next) => {
+  try {
+    const { meeting, motion } = await findMotion(req, res);
+    if (!motion) return;
+
+    if (motion.proposedBy.toString() !== req.user.id.toString() && !isChair(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the proposer or the chair can withdraw this motion'
+      });
+    }
+
+    if (!['proposed', 'seconded'].includes(motion.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot withdraw a motion that is ${motion.status}`
+      });
+    }
+
+    motion.status = 'withdrawn';
+    motion.closedAt = new Date();
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      motion: formatMotion(motion)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Open voting on a seconded motion
+// @route   POST /api/meetings/:id/motions/:motionId/open
+// @access  Private/Chair
+exports.openVoting = async (req, res, next) => {
+  try {
+    const { meeting, motion } = await findMotion(req, res);
+    if (!motion) return;
+
+    if (!isChair(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the chairperson can open voting'
+      });
+    }
+
+    if (motion.status !== 'seconded') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only seconded motions can be put to a vote'
+      });
+    }
+
+    if (meeting.motions.some(m => m.status === 'voting')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Another motion is already being voted on'
+      });
+    }
+
+    const quorum = await meeting.getQuorum();
+    if (!quorum.met) {
+      return res.status(400).json({
+        success: false,
+        message: `Quorum not met: ${quorum.present} present, ${quorum.required} required`,
+        quorum
+      });
+    }
+
+    if (req.body.votingMethod) {
+      motion.votingMethod = req.body.votingMethod;
+    }
+    motion.status = 'voting';
+    motion.openedAt = new Date();
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      motion: formatMotion(motion),
+      quorum
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cast a vote on a motion
+// @route   POST /api/meetings/:id/motions/:motionId/vote
+// @access  Private
+exports.castVote = async (req, res, next) => {
+  try {
+    const { vote } = req.body;
+
+    if (!['yes', 'no', 'abstain'].includes(vote)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vote must be yes, no or abstain'
+      });
+    }
+
+    const { meeting, motion } = await findMotion(req, res);
+    if (!motion) return;
+
+    if (motion.status !== 'voting') {
+      return res.status(400).json({
+        success: false,
+        message: 'Voting is not open for this motion'
+      });
+    }
+
+    if (!meeting.isPresent(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only members present at the meeting can vote'
+      });
+    }
+
+    if (motion.voters.some(voter => voter.toString() === req.user.id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already voted on this motion'
+      });
+    }
+
+    // Recorded in a single update so concurrent votes are neither lost nor
+    // counted twice, and none get in after voting closed
+    const update = {
+      $set: { updatedBy: req.user.id },
+      $push: { 'motions.$.voters': req.user.id },
+      $inc: { [`motions.$.tally.${vote}`]: 1 }
+    };
+    if (motion.votingMethod === 'roll-call') {
+      update.$push['motions.$.ballots'] = { member: req.user.id, vote };
+    }
+
+    const updated = await Meeting.findOneAndUpdate(
+      {
+        _id: meeting._id,
+        motions: {
+          $elemMatch: {
+            _id: motion._id,
+            status: 'voting',
+            voters: { $ne: req.user.id }
+          }
+        }
+      },
+      update,
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your vote was not recorded, you already voted or voting has closed'
+      });
+    }
+
+    await Meeting.recordVersion(meeting._id, {
+      changedFields: ['motions'],
+      updatedBy: req.user.id
+    });
+
+    const result = updated.motions.id(motion._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Vote recorded',
+      tally: Meeting.isTallyHidden(result) ? undefined : result.tally
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Close voting and record the result in the minutes
+// @route   POST /api/meetings/:id/motions/:motionId/close
+// @access  Private/Chair
+exports.closeVoting = async (req, res, next) => {
+  try {
+    const { meeting, motion } = await findMotion(req, res);
+    if (!motion) return;
+
+    if (!isChair(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the chairperson can close voting'
+      });
+    }
+
+    if (motion.status !== 'voting') {
+      return res.status(400).json({
+        success: false,
+        message: 'Voting is not open for this motion'
+      });
+    }
+
+    // The result goes into the minutes, which only change through the approval workflow
+    if (!meeting.canEditMinutes()) {
+      return res.status(400).json({
+        success: false,
+        message: `Minutes are ${meeting.minutesApproval.status}, request changes to the minutes before closing voting`
+      });
+    }
+
+    // Quorum is judged at the moment the vote closes
+    const quorum = await meeting.getQuorum();
+
+    // Closed in a single update that also reads the final tally, so every
+    // vote castVote accepted before closing counts and none gets in after
+    const closed = await Meeting.findOneAndUpdate(
+      {
+        _id: meeting._id,
+        motions: { $elemMatch: { _id: motion._id, status: 'voting' } }
+      },
+      [{
+        $set: {
+          motions: {
+            $map: {
+              input: '$motions',
+              in: {
+                $cond: [
+                  { $eq: ['$$this._id', motion._id] },
+                  {
+                    $mergeObjects: ['$$this', {
+                      status: {
+                        $cond: [
+                          { $and: [quorum.met, { $gt: ['$$this.tally.yes', '$$this.tally.no'] }] },
+                          'carried',
+                          'failed'
+                        ]
+                      },
+                      closedAt: new Date(),
+                      quorum: {
+                        $literal: {
+                          present: quorum.present,
+                          required: quorum.required,
+                          met: quorum.met
+                        }
+                      }
+                    }]
+                  },
+                  '$$this'
+                ]
+              }
+            }
+          }
+        }
+      }],
+      { new: true }
+    );
+
+    if (!closed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Voting is not open for this motion'
+      });
+    }
+
+    await Meeting.recordVersion(meeting._id, {
+      changedFields: ['motions'],
+      updatedBy: req.user.id
+    });
+
+    const result = closed.motions.id(motion._id);
+    const carried = result.status === 'carried';
+
+    // Keep member names with roll-call ballots so the record survives user changes
+    let ballots = [];
+    if (result.votingMethod === 'roll-call') {
+      const members = await User.find({ _id: { $in: result.ballots.map(b => b.member) } })
+        .select('name');
+      ballots = result.ballots.map(ballot => ({
+        member: ballot.member,
+        name: members.find(m => m._id.toString() === ballot.member.toString())?.name,
+        vote: ballot.vote
+      }));
+    }
+
+    closed.minutes.decisions.push({
+      decision: `${result.title} (${carried ? 'carried' : 'not carried'}${quorum.met ? '' : ', quorum not met'})`,
+      voting: {
+        inFavor: result.tally.yes,
+        against: result.tally.no,
+        abstained: result.tally.abstain
+      },
+      motion: result._id,
+      agendaItem: result.agendaItem,
+      result: carried ? 'carried' : 'failed',
+      votingMethod: result.votingMethod,
+      ballots
+    });
+
+    // Also note the decision on the agenda item it belongs to
+    const agendaItem = closed.agenda.id(result.agendaItem);
+    if (agendaItem && carried) {
+      agendaItem.decisions.push(result.title);
+    }
+
+    closed.updatedBy = req.user.id;
+    await closed.save();
+
+    res.status(200).json({
+      success: true,
+      motion: formatMotion(result),
+      decision: closed.minutes.decisions[closed.minutes.decisions.length - 1]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
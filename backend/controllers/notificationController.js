@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { emitToUsers } = require('../utils/socket');
+
+// Push the new unread count to the user's other open tabs
+const pushUnreadCount = async (userId) => {
+  const count = await Notification.countDocuments({ recipient: userId, read: false });
+  emitToUsers([userId], 'notification:unread', { count });
+  return count;
+};
+
+// @desc    Get notifications of the current user
+// @route   GET /api/notifications
+// @access  Private
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const { unread, type, page = 1, limit = 20 } = req.query;
+
+    const query = { recipient: req.user.id };
+    if (unread === 'true') query.read = false;
+    if (type) query.type = type;
+
+    const notifications = await Notification.find(query)
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Notification.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      notifications
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get unread notification count, in total and per type
+// @route   GET /api/notifications/unread-count
+// @access  Private
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const byType = await Notification.aggregate([
+      { $match: { recipient: new mongoose.Types.ObjectId(req.user.id), read: false } },
+      { $group: { _id: '$type', count: { $sum: 1 } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: byType.reduce((sum, entry) => sum + entry.count, 0),
+      byType: Object.fromEntries(byType.map(entry => [entry._id, entry.count]))
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+exports.markAsRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const unreadCount = await pushUnreadCount(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      notification,
+      unreadCount
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+exports.markAllAsRead = async (req, res, next) => {
+  try {
+    const query = { recipient: req.user.id, read: false };
+    if (req.body.type) query.type = req.body.type;
+
+    const { modifiedCount } = await Notification.updateMany(query, {
+      read: true,
+      readAt: new Date()
+    });
+
+    const unreadCount = await pushUnreadCount(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `${modifiedCount} notification(s) marked as read`,
+      unreadCount
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
@@ -344,7 +344,8 @@ exports.generateMeetingAgenda = async (req, res) => {
     // Get meeting
     const meeting = await Meeting.findById(meetingId)
       .populate('chairperson', 'name')
-      .populate('minutesTaker', 'name');
+      .populate('minutesTaker', 'name')
+      .populate('agenda.carriedFrom', 'meetingId date');
     
     if (!meeting) {
       return res.status(404).json({
@@ -353,6 +354,10 @@ exports.generateMeetingAgenda = async (req, res) => {
       });
     }
     
+    // Business carried over from earlier meetings is listed separately
+    const mattersArising = meeting.agenda.filter(item => item.carriedFrom);
+    const agendaItems = meeting.agenda.filter(item => !item.carriedFrom);
+    
     // Create PDF
     const doc = new PDFDocument({
       size: 'A4',
@@ -429,8 +434,41 @@ exports.generateMeetingAgenda = async (req, res) => {
       doc.moveDown(1);
     }
     
+    // Matters Arising
+    if (mattersArising.length > 0) {
+      doc.addPage();
+      doc.fillColor('#000000')
+         .fontSize(16)
+         .font('Helvetica-Bold')
+         .text('MATTERS ARISING', { align: 'center', underline: true });
+      
+      doc.moveDown(1);
+      
+      mattersArising.forEach((item, index) => {
+        doc.fillColor('#0066CC')
+           .fontSize(12)
+           .font('Helvetica-Bold')
+           .text(`${index + 1}. ${item.title}`);
+        
+        doc.fillColor('#666666')
+           .fontSize(10)
+           .font('Helvetica')
+           .text(`From: ${item.carriedFrom.meetingId || 'previous meeting'}` +
+                 (item.presenter ? ` | Presenter: ${item.presenter}` : ''));
+        
+        if (item.description) {
+          doc.fillColor('#000000')
+             .fontSize(10)
+             .font('Helvetica')
+             .text(item.description);
+        }
+        
+        doc.moveDown(0.5);
+      });
+    }
+    
     // Agenda Items
-    if (meeting.agenda && meeting.agenda.length > 0) {
+    if (agendaItems.length > 0) {
       doc.addPage();
       doc.fillColor('#000000')
          .fontSize(16)
@@ -439,9 +477,9 @@ exports.generateMeetingAgenda = async (req, res) => {
       
       doc.moveDown(1);
       
-      let totalDuration = 0;
+      let totalDuration = mattersArising.reduce((total, item) => total + (item.duration || 0), 0);
       
-      meeting.agenda.forEach((item, index) => {
+      agendaItems.forEach((item, index) => {
         doc.fillColor('#0066CC')
            .fontSize(12)
            .font('Helvetica-Bold')
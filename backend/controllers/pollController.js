@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const { Chat, Message } = require('../models/Chat');
+const { validationResult } = require('express-validator');
+const { emitToDiscussion } = require('../utils/socket');
+const { castVote, closePoll, isPollOpen } = require('../utils/polls');
+const { isMember, isAdmin, getPostingRestriction } = require('../utils/chatAccess');
+
+// Discussion admins and controllers close any poll, except in private
+// conversations where only the author does
+const canClose = (user, discussion, message) => {
+  return message.sender.toString() === user.id.toString() ||
+    isAdmin(discussion, user.id) ||
+    (Boolean(user.isController) && discussion.discussionType !== 'private');
+};
+
+// Vote of a user, anonymous polls only tell the user their own
+const getOwnVote = (message, userId) => {
+  const vote = message.poll.votes.find(item => item.user.toString() === userId.toString());
+  return vote ? vote.options : [];
+};
+
+// Find a poll in a discussion the user belongs to or send an error
+const findPoll = async (req, res) => {
+  const message = mongoose.isValidObjectId(req.params.id)
+    ? await Message.findOne({ _id: req.params.id, type: 'poll', deleted: false })
+    : null;
+  const discussion = message && await Chat.findOne({ discussionId: message.discussionId });
+
+  if (!discussion) {
+    res.status(404).json({
+      success: false,
+      message: 'Poll not found'
+    });
+    return {};
+  }
+
+  if (!isMember(discussion, req.user.id)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to view this discussion'
+    });
+    return {};
+  }
+
+  return { message, discussion };
+};
+
+// @desc    Get a poll with its tallies and the user's vote
+// @route   GET /api/chat/messages/:id/poll
+// @access  Private
+exports.getPoll = async (req, res, next) => {
+  try {
+    const { message } = await findPoll(req, res);
+    if (!message) return;
+
+    res.status(200).json({
+      success: true,
+      poll: message.poll,
+      myVote: getOwnVote(message, req.user.id)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Vote in a poll, replacing any earlier vote
+// @route   POST /api/chat/messages/:id/votes
+// @access  Private
+exports.vote = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const options = [].concat(req.body.options ?? []).map(String);
+
+    const { message, discussion } = await findPoll(req, res);
+    if (!message) return;
+
+    const restriction = getPostingRestriction(discussion, req.user.id);
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        message: restriction
+      });
+    }
+
+    if (!isPollOpen(message.poll)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll is closed'
+      });
+    }
+
+    const optionIds = [...new Set(options)];
+    const known = message.poll.options.map(option => option._id.toString());
+
+    if (optionIds.length === 0 || optionIds.some(id => !known.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose from the poll options'
+      });
+    }
+
+    if (!message.poll.multipleChoice && optionIds.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll accepts a single choice'
+      });
+    }
+
+    const updated = await castVote(message, req.user.id, optionIds);
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll is closed'
+      });
+    }
+
+    emitToDiscussion(discussion, 'poll:updated', {
+      discussionId: discussion.discussionId,
+      messageId: updated._id,
+      poll: updated.poll
+    });
+
+    res.status(200).json({
+      success: true,
+      poll: updated.poll,
+      myVote: getOwnVote(updated, req.user.id)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Withdraw the user's vote from a poll
+// @route   DELETE /api/chat/messages/:id/votes
+// @access  Private
+exports.removeVote = async (req, res, next) => {
+  try {
+    const { message, discussion } = await findPoll(req, res);
+    if (!message) return;
+
+    const restriction = getPostingRestriction(discussion, req.user.id);
+    if (restriction) {
+      return res.status(403).json({
+        success: false,
+        message: restriction
+      });
+    }
+
+    if (!isPollOpen(message.poll)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll is closed'
+      });
+    }
+
+    const updated = await castVote(message, req.user.id, []);
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll is closed'
+      });
+    }
+
+    emitToDiscussion(discussion, 'poll:updated', {
+      discussionId: discussion.discussionId,
+      messageId: updated._id,
+      poll: updated.poll
+    });
+
+    res.status(200).json({
+      success: true,
+      poll: updated.poll,
+      myVote: []
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Close a poll before its closing time and post the result
+// @route   POST /api/chat/messages/:id/poll/close
+// @access  Private/Poll author or discussion admins
+exports.closePoll = async (req, res, next) => {
+  try {
+    const { message, discussion } = await findPoll(req, res);
+    if (!message) return;
+
+    if (!canClose(req.user, discussion, message)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the poll author or discussion admins can close this poll'
+      });
+    }
+
+    if (message.poll.closed) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll is already closed'
+      });
+    }
+
+    const closed = await closePoll(discussion, message, req.user.id);
+    if (!closed) {
+      return res.status(400).json({
+        success: false,
+        message: 'This poll is already closed'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Poll closed',
+      poll: closed.poll
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
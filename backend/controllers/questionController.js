@@ -0,0 +1,291 @@
+const Meeting = require('../models/Meeting');
+const { validationResult } = require('express-validator');
+const { OFFICER_ROLES } = require('../utils/quorum');
+
+// Check if user can answer or defer questions of a meeting
+const isOfficer = (user, meeting) => {
+  return user.isController ||
+    OFFICER_ROLES.includes(user.role) ||
+    meeting.chairperson.toString() === user.id.toString();
+};
+
+// Shape a question with its vote count for the board
+const formatQuestion = (question, userId) => {
+  const data = question.toObject();
+  return {
+    ...data,
+    upvoteCount: data.upvotes.length,
+    hasUpvoted: data.upvotes.some(id => id.toString() === userId.toString())
+  };
+};
+
+// Find meeting and question or send 404
+const findQuestion = async (req, res) => {
+  const meeting = await Meeting.findById(req.params.id);
+
+  if (!meeting) {
+    res.status(404).json({
+      success: false,
+      message: 'Meeting not found'
+    });
+    return {};
+  }
+
+  const question = meeting.questions.id(req.params.questionId);
+
+  if (!question) {
+    res.status(404).json({
+      success: false,
+      message: 'Question not found'
+    });
+    return {};
+  }
+
+  return { meeting, question };
+};
+
+// @desc    Get questions of a meeting, most upvoted first
+// @route   GET /api/meetings/:id/questions
+// @access  Private
+exports.getQuestions = async (req, res, next) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id)
+      .select('questions')
+      .populate('questions.answeredBy', 'name role');
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    const { status } = req.query;
+
+    const questions = meeting.questions
+      .filter(question => !status || question.status === status)
+      .map(question => formatQuestion(question, req.user.id))
+      .sort((a, b) => b.upvoteCount - a.upvoteCount || new Date(a.askedAt) - new Date(b.askedAt));
+
+    res.status(200).json({
+      success: true,
+      count: questions.length,
+      questions
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Submit a question before or during a meeting
+// @route   POST /api/meetings/:id/questions
+// @access  Private
+exports.askQuestion = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { question, priority, agendaItemId } = req.body;
+
+    if (!question || !question.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Question is required'
+      });
+    }
+
+    const meeting = await Meeting.findById(req.params.id);
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    if (!['draft', 'scheduled', 'in-progress'].includes(meeting.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot ask questions for a meeting that is ${meeting.status}`
+      });
+    }
+
+    if (agendaItemId && !meeting.agenda.id(agendaItemId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Agenda item not found in this meeting'
+      });
+    }
+
+    meeting.questions.push({
+      question: question.trim(),
+      priority,
+      agendaItem: agendaItemId,
+      askedBy: req.user.name,
+      askedByUser: req.user.id,
+      askedAt: new Date()
+    });
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(201).json({
+      success: true,
+      question: formatQuestion(meeting.questions[meeting.questions.length - 1], req.user.id)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upvote a question
+// @route   POST /api/meetings/:id/questions/:questionId/upvote
+// @access  Private
+exports.upvoteQuestion = async (req, res, next) => {
+  try {
+    const { meeting, question } = await findQuestion(req, res);
+    if (!question) return;
+
+    if (question.askedByUser && question.askedByUser.toString() === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot upvote your own question'
+      });
+    }
+
+    if (question.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot upvote a question that is ${question.status}`
+      });
+    }
+
+    if (!question.upvotes.some(id => id.toString() === req.user.id.toString())) {
+      question.upvotes.push(req.user.id);
+      meeting.updatedBy = req.user.id;
+      await meeting.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      question: formatQuestion(question, req.user.id)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove upvote from a question
+// @route   DELETE /api/meetings/:id/questions/:questionId/upvote
+// @access  Private
+exports.removeUpvote = async (req, res, next) => {
+  try {
+    const { meeting, question } = await findQuestion(req, res);
+    if (!question) return;
+
+    question.upvotes = question.upvotes.filter(id => id.toString() !== req.user.id.toString());
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      question: formatQuestion(question, req.user.id)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Answer a question
+// @route   POST /api/meetings/:id/questions/:questionId/answer
+// @access  Private/Officers
+exports.answerQuestion = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { answer } = req.body;
+
+    if (!answer || !answer.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Answer is required'
+      });
+    }
+
+    const { meeting, question } = await findQuestion(req, res);
+    if (!question) return;
+
+    if (!isOfficer(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only council officers can answer questions'
+      });
+    }
+
+    question.answer = answer.trim();
+    question.status = 'answered';
+    question.answeredBy = req.user.id;
+    question.answeredAt = new Date();
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      question: formatQuestion(question, req.user.id)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Defer a question to a later meeting
+// @route   POST /api/meetings/:id/questions/:questionId/defer
+// @access  Private/Officers
+exports.deferQuestion = async (req, res, next) => {
+  try {
+    const { meeting, question } = await findQuestion(req, res);
+    if (!question) return;
+
+    if (!isOfficer(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only council officers can defer questions'
+      });
+    }
+
+    if (question.status === 'answered') {
+      return res.status(400).json({
+        success: false,
+        message: 'Question has already been answered'
+      });
+    }
+
+    question.status = 'deferred';
+    question.deferReason = req.body.reason;
+    meeting.updatedBy = req.user.id;
+    await meeting.save();
+
+    res.status(200).json({
+      success: true,
+      question: formatQuestion(question, req.user.id)
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
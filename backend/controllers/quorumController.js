@@ -0,0 +1,92 @@
+const Meeting = require('../models/Meeting');
+const QuorumRule = require('../models/QuorumRule');
+const { DEFAULT_RULES, getQuorumRule } = require('../utils/quorum');
+
+// @desc    Get quorum rules for every meeting type
+// @route   GET /api/meetings/quorum-rules
+// @access  Private
+exports.getQuorumRules = async (req, res, next) => {
+  try {
+    const rules = await Promise.all(
+      Object.keys(DEFAULT_RULES).map(async meetingType => {
+        const rule = await getQuorumRule(meetingType);
+        return { ...rule, isDefault: !rule._id };
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      rules
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set quorum rule of a meeting type
+// @route   PUT /api/meetings/quorum-rules/:type
+// @access  Private/Controller
+exports.updateQuorumRule = async (req, res, next) => {
+  try {
+    const meetingType = req.params.type;
+
+    if (!DEFAULT_RULES[meetingType]) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown meeting type: ${meetingType}`
+      });
+    }
+
+    const { basis, method, percentage, fixedCount, countLate, description } = req.body;
+
+    const rule = await QuorumRule.findOne({ meetingType }) ||
+      new QuorumRule({ meetingType, ...DEFAULT_RULES[meetingType] });
+
+    if (basis !== undefined) rule.basis = basis;
+    if (method !== undefined) rule.method = method;
+    if (percentage !== undefined) rule.percentage = percentage;
+    if (fixedCount !== undefined) rule.fixedCount = fixedCount;
+    if (countLate !== undefined) rule.countLate = countLate;
+    if (description !== undefined) rule.description = description;
+    rule.updatedBy = req.user.id;
+
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      rule
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get live quorum of a meeting
+// @route   GET /api/meetings/:id/quorum
+// @access  Private
+exports.getMeetingQuorum = async (req, res, next) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id);
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    const quorum = await meeting.getQuorum();
+
+    res.status(200).json({
+      success: true,
+      quorum,
+      hasBindingDecisions: meeting.hasBindingDecisions(),
+      override: meeting.quorumOverride?.reason ? meeting.quorumOverride : null
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
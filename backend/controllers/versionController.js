@@ -0,0 +1,178 @@
+const Meeting = require('../models/Meeting');
+const MeetingVersion = require('../models/MeetingVersion');
+const { diffMeetings } = require('../utils/diff');
+
+// Check if user can roll back a meeting
+const canRollback = (user, meeting) => {
+  if (meeting.published) return user.isController;
+  return user.isController ||
+    ['Secretary', 'President'].includes(user.role) ||
+    meeting.chairperson.toString() === user.id.toString() ||
+    meeting.createdBy.toString() === user.id.toString();
+};
+
+// Find a stored version of a meeting
+const findVersion = (meetingId, version) => {
+  return MeetingVersion.findOne({ meeting: meetingId, version: parseInt(version) });
+};
+
+// @desc    Get version history of a meeting
+// @route   GET /api/meetings/:id/versions
+// @access  Private
+exports.getVersions = async (req, res, next) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id).select('version');
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    const versions = await MeetingVersion.find({ meeting: meeting._id })
+      .select('-data')
+      .populate('updatedBy', 'name role avatar')
+      .sort('-version');
+
+    res.status(200).json({
+      success: true,
+      currentVersion: meeting.version,
+      count: versions.length,
+      versions
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get field-level diff between two versions
+// @route   GET /api/meetings/:id/versions/diff?from=1&to=3
+// @access  Private
+exports.getVersionDiff = async (req, res, next) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id).select('version');
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    const to = parseInt(req.query.to) || meeting.version;
+    const from = parseInt(req.query.from) || to - 1;
+
+    const [before, after] = await Promise.all([
+      findVersion(meeting._id, from),
+      findVersion(meeting._id, to)
+    ]);
+
+    if (!before || !after) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${!before ? from : to} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      changes: diffMeetings(
+        Meeting.hideSecretTallies(before.data),
+        Meeting.hideSecretTallies(after.data)
+      )
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single version of a meeting
+// @route   GET /api/meetings/:id/versions/:version
+// @access  Private
+exports.getVersion = async (req, res, next) => {
+  try {
+    const version = await findVersion(req.params.id, req.params.version)
+      .populate('updatedBy', 'name role avatar');
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      version
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore an earlier version as a new version
+// @route   POST /api/meetings/:id/versions/:version/rollback
+// @access  Private/Officers
+exports.rollbackVersion = async (req, res, next) => {
+  try {
+    const meeting = await Meeting.findById(req.params.id);
+
+    if (!meeting) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meeting not found'
+      });
+    }
+
+    if (!canRollback(req.user, meeting)) {
+      return res.status(403).json({
+        success: false,
+        message: meeting.published
+          ? 'Only controllers can roll back a published meeting'
+          : 'Not authorized to roll back this meeting'
+      });
+    }
+
+    const snapshot = await findVersion(meeting._id, req.params.version);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    if (snapshot.version === meeting.version) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already the current version'
+      });
+    }
+
+    // Minutes in review or approved only change through the approval workflow
+    if (!meeting.canEditMinutes() &&
+        diffMeetings(meeting.toObject({ virtuals: false }), snapshot.data).minutes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Minutes are ${meeting.minutesApproval.status} and cannot be rolled back, request changes to the minutes first`
+      });
+    }
+
+    await meeting.restoreVersion(snapshot, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Version ${snapshot.version} restored as version ${meeting.version}`,
+      meeting
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
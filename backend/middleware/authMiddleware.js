@@ -4,7 +4,7 @@ const User = require('../models/User');
 const authMiddleware = async (req, res, next) => {
   try {
     // Get token from header or cookie
-    let token = req.header('Authorization') || req.cookies.token;
+    let token = req.header('Authorization') || req.cookies?.token;
     
     if (!token) {
       return res.status(401).json({
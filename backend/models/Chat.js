@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DOCUMENT_TYPES } = require('../utils/fileType');
 
 const chatSchema = new mongoose.Schema({
   discussionId: {
@@ -21,6 +22,8 @@ const chatSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Sorted participant ids of a private conversation, one conversation per set
+  participantKey: String,
   isGroup: {
     type: Boolean,
     default: true
@@ -46,11 +49,37 @@ const chatSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
-  unreadCount: {
-    type: Map,
-    of: Number,
-    default: {}
+  // Read-only discussions only accept messages from their admins
+  locked: {
+    type: Boolean,
+    default: false
   },
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lockedAt: Date,
+  lockReason: String,
+  mutes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    until: {
+      type: Date,
+      required: true
+    },
+    reason: String,
+    mutedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    mutedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   settings: {
     allowReactions: {
       type: Boolean,
@@ -67,7 +96,18 @@ const chatSchema = new mongoose.Schema({
     allowDeleting: {
       type: Boolean,
       default: true
-    }
+    },
+    // Largest attachment in MB, uploads are also capped by CHAT_FILE_MAX_SIZE_MB
+    maxFileSizeMB: {
+      type: Number,
+      default: 10,
+      min: [1, 'File size limit must be at least 1MB']
+    },
+    // Extensions of the accepted attachment types, empty accepts every type
+    allowedFileTypes: [{
+      type: String,
+      enum: Object.keys(DOCUMENT_TYPES)
+    }]
   },
   tags: [String],
   createdAt: {
@@ -82,6 +122,144 @@ const chatSchema = new mongoose.Schema({
   timestamps: true
 });
 
+chatSchema.index(
+  { participantKey: 1 },
+  {
+    unique: true,
+    // Private discussions from before participant keys have none
+    partialFilterExpression: { discussionType: 'private', participantKey: { $exists: true } }
+  }
+);
+
+// Private conversations are looked up by their participant set
+chatSchema.statics.getParticipantKey = function(userIds) {
+  return [...new Set(userIds.map(id => id.toString()))].sort().join(':');
+};
+
+// Get the mute that currently silences a user, if any
+chatSchema.methods.getActiveMute = function(userId, now = new Date()) {
+  return this.mutes.find(mute => mute.user.toString() === userId.toString() && mute.until > now) || null;
+};
+
+chatSchema.pre('save', function(next) {
+  if (this.discussionType === 'private') {
+    this.participantKey = this.constructor.getParticipantKey(this.participants);
+  }
+  next();
+});
+
+// Storage keys stay on the server, files are fetched through the url fields
+const hideStorageKeys = (doc, ret) => {
+  delete ret.storageKey;
+  delete ret.thumbnailKey;
+  return ret;
+};
+
+const attachmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  url: String,
+  type: {
+    type: String,
+    required: true
+  },
+  ext: String,
+  size: Number,
+  storageKey: {
+    type: String,
+    required: true
+  },
+  // Images only
+  thumbnailKey: String,
+  thumbnailUrl: String,
+  width: Number,
+  height: Number,
+  scan: {
+    scanner: String,
+    scannedAt: Date
+  }
+}, {
+  toJSON: { transform: hideStorageKeys },
+  toObject: { transform: hideStorageKeys }
+});
+
+// Options keep their own ids, votes point at them
+const pollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [200, 'Poll option cannot be more than 200 characters']
+  }
+});
+
+const pollSchema = new mongoose.Schema({
+  options: [pollOptionSchema],
+  multipleChoice: {
+    type: Boolean,
+    default: false
+  },
+  // Anonymous polls never reveal who voted for what
+  anonymous: {
+    type: Boolean,
+    default: false
+  },
+  closesAt: Date,
+  closed: {
+    type: Boolean,
+    default: false
+  },
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // System message announcing the final result
+  resultMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  votes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    options: [mongoose.Schema.Types.ObjectId],
+    votedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  _id: false,
+  toJSON: { transform: (doc, ret) => ({ ...ret, ...doc.getResults(), votes: undefined }) },
+  toObject: { transform: (doc, ret) => ({ ...ret, ...doc.getResults(), votes: undefined }) }
+});
+
+// Count the votes of each option, voters are only listed for open ballots
+pollSchema.methods.getResults = function() {
+  const options = this.options.map(option => {
+    const voters = this.votes
+      .filter(vote => vote.options.some(id => id.toString() === option._id.toString()))
+      .map(vote => vote.user);
+
+    return {
+      _id: option._id,
+      text: option.text,
+      votes: voters.length,
+      ...(!this.anonymous && { voters })
+    };
+  });
+
+  return {
+    options,
+    totalVoters: this.votes.length
+  };
+};
+
 const messageSchema = new mongoose.Schema({
   discussionId: {
     type: String,
@@ -95,21 +273,18 @@ const messageSchema = new mongoose.Schema({
   },
   message: {
     type: String,
-    required: [true, 'Message cannot be empty'],
+    // A file can be sent without a caption
+    required: [function() { return this.attachments.length === 0; }, 'Message cannot be empty'],
     trim: true,
     maxlength: [2000, 'Message cannot be more than 2000 characters']
   },
   type: {
     type: String,
-    enum: ['text', 'image', 'file', 'system', 'update'],
+    enum: ['text', 'image', 'file', 'system', 'update', 'announcement', 'poll'],
     default: 'text'
   },
-  attachments: [{
-    name: String,
-    url: String,
-    type: String,
-    size: Number
-  }],
+  attachments: [attachmentSchema],
+  poll: pollSchema,
   edited: {
     type: Boolean,
     default: false
@@ -127,22 +302,33 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Hidden by a moderator, only moderators still see the message
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenAt: Date,
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  hiddenReason: String,
   reactions: {
     type: Map,
     of: [mongoose.Schema.Types.ObjectId], // Array of user IDs who reacted
     default: {}
   },
-  replies: [{
-    sender: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    message: String,
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // Replies are messages of their own pointing at the thread's first message
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  lastReplyAt: Date,
   mentions: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -151,16 +337,11 @@ const messageSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  readBy: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    readAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  pinnedAt: Date,
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   metadata: {
     ip: String,
     userAgent: String,
@@ -173,6 +354,9 @@ const messageSchema = new mongoose.Schema({
 // Index for efficient querying
 messageSchema.index({ discussionId: 1, createdAt: -1 });
 messageSchema.index({ sender: 1, createdAt: -1 });
+messageSchema.index({ parentId: 1, createdAt: 1 });
+messageSchema.index({ message: 'text' });
+messageSchema.index({ discussionId: 1, pinned: 1, pinnedAt: -1 });
 
 // Pre-save middleware
 messageSchema.pre('save', function(next) {
@@ -224,16 +408,17 @@ messageSchema.methods.removeReaction = function(userId, reaction) {
   return this.save();
 };
 
-// Method to mark as read
-messageSchema.methods.markAsRead = function(userId) {
-  if (!this.readBy.some(item => item.user.toString() === userId.toString())) {
-    this.readBy.push({
-      user: userId,
-      readAt: new Date()
-    });
-  }
-  
-  return this.save();
+// Recount the visible replies of a thread
+messageSchema.statics.refreshThread = async function(parentId) {
+  const [stats] = await this.aggregate([
+    { $match: { parentId: new mongoose.Types.ObjectId(parentId), deleted: false, hidden: { $ne: true } } },
+    { $group: { _id: null, replyCount: { $sum: 1 }, lastReplyAt: { $max: '$createdAt' } } }
+  ]);
+
+  return this.findByIdAndUpdate(parentId, {
+    replyCount: stats?.replyCount || 0,
+    lastReplyAt: stats?.lastReplyAt || null
+  }, { new: true });
 };
 
 const Chat = mongoose.model('Chat', chatSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const chatAuditLogSchema = new mongoose.Schema({
+  discussionId: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'private-access',
+      'report',
+      'hide',
+      'unhide',
+      'dismiss-reports',
+      'delete',
+      'clear',
+      'mute',
+      'unmute',
+      'lock',
+      'unlock'
+    ],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  details: {
+    type: Object,
+    default: {}
+  },
+  ip: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+chatAuditLogSchema.index({ discussionId: 1, createdAt: -1 });
+chatAuditLogSchema.index({ actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ChatAuditLog', chatAuditLogSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// How far a user has read a discussion. Everything sent after lastReadAt by
+// someone else is unread.
+const chatReadStateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  discussionId: {
+    type: String,
+    required: true
+  },
+  lastReadMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  lastReadAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+chatReadStateSchema.index({ user: 1, discussionId: 1 }, { unique: true });
+chatReadStateSchema.index({ discussionId: 1, lastReadAt: -1 });
+
+// Move the user's cursor up to a message. The cursor never moves back, so
+// null is returned when it already was at or past the message.
+chatReadStateSchema.statics.markRead = async function(userId, message) {
+  try {
+    return await this.findOneAndUpdate(
+      {
+        user: userId,
+        discussionId: message.discussionId,
+        lastReadAt: { $lt: message.createdAt }
+      },
+      {
+        lastReadMessage: message._id,
+        lastReadAt: message.createdAt
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The upsert collides with a cursor that is further ahead
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('ChatReadState', chatReadStateSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const documentSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide document title'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  meeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  agendaItem: mongoose.Schema.Types.ObjectId,
+  category: {
+    type: String,
+    enum: ['agenda-paper', 'budget', 'slides', 'report', 'minutes', 'other'],
+    default: 'other'
+  },
+  // attendees = people invited to the meeting, council = every member,
+  // officers = council officers only
+  visibility: {
+    type: String,
+    enum: ['attendees', 'council', 'officers'],
+    default: 'attendees'
+  },
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
+  versions: [{
+    version: Number,
+    storageKey: {
+      type: String,
+      required: true
+    },
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    checksum: String,
+    notes: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  tags: [String],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+documentSchema.index({ meeting: 1, agendaItem: 1 });
+documentSchema.index({ title: 'text', description: 'text', tags: 'text' });
+
+// Method to get a version, the current one by default
+documentSchema.methods.getVersion = function(version = this.currentVersion) {
+  return this.versions.find(v => v.version === Number(version));
+};
+
+module.exports = mongoose.model('Document', documentSchema);
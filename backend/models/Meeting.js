@@ -1,4 +1,24 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const moment = require('moment');
+const { toUTCDate } = require('../utils/recurrence');
+const { calculateQuorum } = require('../utils/quorum');
+const { TIMEZONE, toUTCDateTime } = require('../utils/icalendar');
+const MeetingVersion = require('./MeetingVersion');
+
+// Check if the tally of a motion has to stay hidden, secret ballots are only
+// counted in the open once voting closes
+const isTallyHidden = (motion) => {
+  return motion.votingMethod === 'secret' && !['carried', 'failed'].includes(motion.status);
+};
+
+// Remove the tallies that have to stay hidden from a plain meeting object
+const hideSecretTallies = (data) => {
+  (data.motions || []).forEach(motion => {
+    if (isTallyHidden(motion)) delete motion.tally;
+  });
+  return data;
+};
 
 const meetingSchema = new mongoose.Schema({
   meetingId: {
@@ -66,8 +86,54 @@ const meetingSchema = new mongoose.Schema({
       default: 'absent'
     },
     time: String,
-    notes: String
+    notes: String,
+    checkedInAt: Date,
+    checkInMethod: {
+      type: String,
+      enum: ['code', 'officer']
+    },
+    // Controller corrections of this attendance entry
+    corrections: [{
+      previousStatus: String,
+      status: String,
+      reason: String,
+      correctedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      correctedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
   }],
+  // Self check-in settings, times in minutes relative to startTime
+  checkIn: {
+    secret: {
+      type: String,
+      select: false
+    },
+    opensBefore: {
+      type: Number,
+      default: 15,
+      min: 0
+    },
+    closesAfter: {
+      type: Number,
+      default: 30,
+      min: 0
+    },
+    lateAfter: {
+      type: Number,
+      default: 10,
+      min: 0
+    },
+    rotationSeconds: {
+      type: Number,
+      default: 60,
+      min: 15
+    }
+  },
   agenda: [{
     itemNumber: Number,
     title: {
@@ -87,7 +153,90 @@ const meetingSchema = new mongoose.Schema({
       default: 'pending'
     },
     discussion: String,
-    decisions: [String]
+    decisions: [String],
+    // Set while the meeting is run live
+    startedAt: Date,
+    endedAt: Date,
+    actualDuration: Number,
+    overrun: Number,
+    // Follow-up meeting a postponed item was moved to
+    postponedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting'
+    },
+    // Meeting an item was postponed from
+    carriedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting'
+    },
+    // Unfinished business carried over from the previous meeting
+    carryOverType: {
+      type: String,
+      enum: ['agenda-item', 'action-item', 'question']
+    },
+    carryOverSource: mongoose.Schema.Types.ObjectId,
+    // Member who proposed the item through the submission queue
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    attachments: [{
+      name: String,
+      url: String,
+      type: {
+        type: String
+      }
+    }]
+  }],
+  // Agenda items proposed by members, waiting for the chair
+  agendaProposals: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: String,
+    duration: {
+      type: Number,
+      min: 1,
+      max: 120
+    },
+    attachments: [{
+      name: String,
+      url: String,
+      type: {
+        type: String
+      }
+    }],
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'rejected', 'deferred'],
+      default: 'pending'
+    },
+    reason: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    agendaItem: mongoose.Schema.Types.ObjectId,
+    deferredTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting'
+    },
+    deferredFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
   }],
   questions: [{
     question: {
@@ -105,7 +254,92 @@ const meetingSchema = new mongoose.Schema({
       type: String,
       enum: ['low', 'medium', 'high'],
       default: 'medium'
-    }
+    },
+    // Set for questions submitted through the Q&A board
+    askedByUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    agendaItem: mongoose.Schema.Types.ObjectId,
+    upvotes: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    answeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    answeredAt: Date,
+    deferReason: String,
+    askedAt: Date
+  }],
+  motions: [{
+    agendaItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [200, 'Motion title cannot be more than 200 characters']
+    },
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Motion text cannot be more than 2000 characters']
+    },
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    secondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    status: {
+      type: String,
+      enum: ['proposed', 'seconded', 'voting', 'carried', 'failed', 'withdrawn'],
+      default: 'proposed'
+    },
+    votingMethod: {
+      type: String,
+      enum: ['roll-call', 'secret'],
+      default: 'roll-call'
+    },
+    // Everyone who voted, used to prevent double voting (also for secret ballots)
+    voters: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Individual votes, only kept for roll-call votes
+    ballots: [{
+      member: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      vote: {
+        type: String,
+        enum: ['yes', 'no', 'abstain']
+      },
+      castAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    tally: {
+      yes: { type: Number, default: 0 },
+      no: { type: Number, default: 0 },
+      abstain: { type: Number, default: 0 }
+    },
+    quorum: {
+      present: Number,
+      required: Number,
+      met: Boolean
+    },
+    openedAt: Date,
+    closedAt: Date
   }],
   minutes: {
     summary: String,
@@ -117,7 +351,34 @@ const meetingSchema = new mongoose.Schema({
         against: Number,
         abstained: Number
       },
-      implementBy: Date
+      implementBy: Date,
+      // Binding decisions need quorum before the minutes can be published
+      binding: {
+        type: Boolean,
+        default: true
+      },
+      // Filled in when the decision comes from a motion vote
+      motion: mongoose.Schema.Types.ObjectId,
+      agendaItem: mongoose.Schema.Types.ObjectId,
+      result: {
+        type: String,
+        enum: ['carried', 'failed']
+      },
+      votingMethod: {
+        type: String,
+        enum: ['roll-call', 'secret']
+      },
+      ballots: [{
+        member: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        name: String,
+        vote: {
+          type: String,
+          enum: ['yes', 'no', 'abstain']
+        }
+      }]
     }],
     actionItems: [{
       task: {
@@ -131,7 +392,7 @@ const meetingSchema = new mongoose.Schema({
       deadline: Date,
       status: {
         type: String,
-        enum: ['pending', 'in-progress', 'completed', 'cancelled'],
+        enum: ['pending', 'in-progress', 'completed', 'cancelled', 'overdue'],
         default: 'pending'
       },
       priority: {
@@ -140,12 +401,51 @@ const meetingSchema = new mongoose.Schema({
         default: 'medium'
       },
       notes: String,
-      completionDate: Date
+      completionDate: Date,
+      progress: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+      },
+      comments: [{
+        text: String,
+        progress: Number,
+        author: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        }
+      }],
+      reassignments: [{
+        from: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        to: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        reason: String,
+        reassignedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        reassignedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }]
     }],
     attachments: [{
       name: String,
       url: String,
-      type: String
+      type: {
+        type: String
+      }
     }],
     nextMeeting: {
       date: Date,
@@ -154,11 +454,104 @@ const meetingSchema = new mongoose.Schema({
       agenda: String
     }
   },
+  // Review of the minutes before they become the official record
+  minutesApproval: {
+    status: {
+      type: String,
+      enum: ['draft', 'submitted', 'changes-requested', 'approved', 'adopted'],
+      default: 'draft'
+    },
+    round: {
+      type: Number,
+      default: 0
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: Date,
+    reviewers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    reviews: [{
+      reviewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      round: Number,
+      decision: {
+        type: String,
+        enum: ['approved', 'changes-requested']
+      },
+      comment: String,
+      lineComments: [{
+        section: {
+          type: String,
+          enum: ['summary', 'decisions', 'actionItems', 'nextMeeting']
+        },
+        // Line of the summary or _id of the decision/action item
+        line: Number,
+        itemId: mongoose.Schema.Types.ObjectId,
+        text: {
+          type: String,
+          required: true
+        }
+      }],
+      reviewedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    approvedAt: Date,
+    // Meeting that formally adopted the minutes
+    adoptedIn: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting'
+    },
+    adoptedAt: Date,
+    adoptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    amendments: [{
+      section: String,
+      original: String,
+      amended: {
+        type: String,
+        required: true
+      },
+      proposedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }]
+  },
   status: {
     type: String,
     enum: ['draft', 'scheduled', 'in-progress', 'completed', 'cancelled', 'postponed'],
     default: 'draft'
   },
+  // Live meeting state and the timing summary recorded when it closes
+  timing: {
+    startedAt: Date,
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    endedAt: Date,
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    currentItem: mongoose.Schema.Types.ObjectId,
+    scheduledDuration: Number,
+    plannedDuration: Number,
+    actualDuration: Number,
+    overrun: Number,
+    itemsCompleted: Number,
+    itemsPostponed: Number
+  },
   archived: {
     type: Boolean,
     default: false
@@ -168,6 +561,26 @@ const meetingSchema = new mongoose.Schema({
     default: false
   },
   publishedAt: Date,
+  // Quorum as it stood when the minutes were published
+  quorum: {
+    base: Number,
+    present: Number,
+    required: Number,
+    met: Boolean,
+    rule: Object,
+    checkedAt: Date
+  },
+  quorumOverride: {
+    reason: {
+      type: String,
+      trim: true
+    },
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overriddenAt: Date
+  },
   publishedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -181,6 +594,24 @@ const meetingSchema = new mongoose.Schema({
     sentAt: Date
   }],
   tags: [String],
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MeetingSeries'
+  },
+  occurrenceDate: Date,
+  // Meetings linked by carry-over of unfinished business
+  previousMeeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting'
+  },
+  followUpMeeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting'
+  },
+  seriesException: {
+    type: Boolean,
+    default: false
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -194,21 +625,38 @@ const meetingSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
-  previousVersions: [{
-    data: Object,
-    version: Number,
-    updatedAt: Date,
-    updatedBy: {
+  // Set when a controller saved the meeting despite scheduling conflicts
+  conflictOverride: {
+    overriddenBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    }
-  }]
+    },
+    overriddenAt: Date,
+    meetings: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Meeting'
+    }]
+  },
+  // iCalendar SEQUENCE, bumped whenever attendees need an updated invite
+  sequence: {
+    type: Number,
+    default: 0
+  }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => hideSecretTallies(ret)
+  },
   toObject: { virtuals: true }
 });
 
+// Static method to check if the tally of a motion has to stay hidden
+meetingSchema.statics.isTallyHidden = isTallyHidden;
+
+// Static method to remove hidden tallies from a plain meeting object
+meetingSchema.statics.hideSecretTallies = hideSecretTallies;
+
 // Virtual for duration
 meetingSchema.virtual('duration').get(function() {
   const start = new Date(`1970-01-01T${this.startTime}:00`);
@@ -231,45 +679,143 @@ meetingSchema.virtual('isPast').get(function() {
   return meetingDateTime < today;
 });
 
-// Pre-save middleware to generate meeting ID
-meetingSchema.pre('save', async function(next) {
+// Index for series occurrences
+meetingSchema.index({ series: 1, occurrenceDate: 1 }, { unique: true, sparse: true });
+
+// Pre-validate middleware to generate meeting ID (meetingId is required,
+// so it has to exist before validation runs)
+meetingSchema.pre('validate', async function(next) {
   if (!this.meetingId) {
-    const year = new Date().getFullYear();
-    const month = String(new Date().getMonth() + 1).padStart(2, '0');
-    const day = String(new Date().getDate()).padStart(2, '0');
-    
-    // Count existing meetings for today
-    const count = await this.constructor.countDocuments({
-      createdAt: {
-        $gte: new Date(new Date().setHours(0, 0, 0, 0)),
-        $lt: new Date(new Date().setHours(23, 59, 59, 999))
-      }
-    });
-    
-    this.meetingId = `SC-${year}-${month}-${day}-${String(count + 1).padStart(3, '0')}`;
+    // Series occurrences are numbered by the day they take place
+    this.meetingId = await this.constructor.generateMeetingId(
+      this.series ? this.occurrenceDate : new Date()
+    );
   }
+  next();
+});
+
+// Whole minutes between two timestamps
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 60000);
+
+// Fields that change what calendar clients show for the meeting
+const SCHEDULE_FIELDS = ['title', 'date', 'startTime', 'endTime', 'venue', 'status'];
+
+// Pre-save middleware to track versions
+meetingSchema.pre('save', async function(next) {
+  if (!this.isNew && SCHEDULE_FIELDS.some(field => this.isModified(field))) {
+    this.sequence += 1;
+  }
+
+  // Remember what changed so the version history can record it after saving
+  this.$locals.changedFields = this.isNew
+    ? []
+    : [...new Set(this.modifiedPaths().map(path => path.split('.')[0]))]
+      .filter(field => !['updatedAt', 'updatedBy', 'version', 'sequence'].includes(field));
+  this.$locals.created = this.isNew;
+  this.$locals.versioned = this.isNew || this.isModified();
   
-  // Update version if data changed
-  if (this.isModified() && !this.isNew) {
-    this.version += 1;
-    
-    // Save previous version
-    const previousData = this.previousVersions || [];
-    previousData.push({
-      data: this.toObject(),
-      version: this.version - 1,
-      updatedAt: new Date(),
-      updatedBy: this.updatedBy
+  next();
+});
+
+// Post-save middleware to store every version in the history collection
+meetingSchema.post('save', async function() {
+  if (!this.$locals.versioned) return;
+
+  const options = {
+    changedFields: this.$locals.changedFields,
+    restoredFrom: this.$locals.restoredFrom,
+    updatedBy: this.updatedBy || this.createdBy
+  };
+  this.$locals.versioned = false;
+  this.$locals.restoredFrom = undefined;
+
+  // A new meeting is stored as it was inserted, later saves take a number
+  if (this.$locals.created) {
+    await recordSnapshot(this.toObject({ virtuals: false }), options);
+    return;
+  }
+
+  const saved = await this.constructor.recordVersion(this._id, options);
+  if (saved) {
+    this.set('version', saved.version);
+    this.unmarkModified('version');
+  }
+});
+
+// Bump calendar sequence on query updates of schedule fields
+meetingSchema.pre(['findOneAndUpdate', 'updateMany'], function(next) {
+  const update = this.getUpdate() || {};
+  const fields = { ...update, ...update.$set };
+
+  if (SCHEDULE_FIELDS.some(field => fields[field] !== undefined)) {
+    this.setUpdate({
+      ...update,
+      $inc: { ...update.$inc, sequence: 1 }
     });
-    
-    this.previousVersions = previousData.slice(-5); // Keep last 5 versions
   }
-  
   next();
 });
 
-// Method to publish meeting
-meetingSchema.methods.publish = function(userId) {
+// Store a meeting as one version of its history, without the check-in secret
+// and the tallies of secret ballots that are still open
+const recordSnapshot = (data, { changedFields = [], restoredFrom, updatedBy } = {}) => {
+  if (data.checkIn) delete data.checkIn.secret;
+  hideSecretTallies(data);
+
+  return MeetingVersion.create({
+    meeting: data._id,
+    version: data.version,
+    data,
+    changedFields,
+    restoredFrom,
+    updatedBy: updatedBy || data.updatedBy || data.createdBy
+  });
+};
+
+// Record the current state of a meeting as its next version. The number is
+// taken with $inc in the same query that reads the state, so concurrent
+// updates never share a version. Call it after updating a meeting by query.
+meetingSchema.statics.recordVersion = async function(id, options) {
+  const meeting = await this.findOneAndUpdate(
+    { _id: id },
+    { $inc: { version: 1 } },
+    { new: true, lean: true }
+  );
+  if (!meeting) return null;
+
+  await recordSnapshot(meeting, options);
+  return meeting;
+};
+
+// Method to publish meeting, binding decisions require quorum or an override reason
+meetingSchema.methods.publish = async function(userId, { quorumOverrideReason } = {}) {
+  if (!this.hasApprovedMinutes()) {
+    const error = new Error('Minutes must be approved before they can be published');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const quorum = await this.getQuorum();
+
+  if (!quorum.met && this.hasBindingDecisions()) {
+    if (!quorumOverrideReason) {
+      const error = new Error(
+        `Quorum not met (${quorum.present} of ${quorum.required} required present). ` +
+        'Minutes with binding decisions need a quorum override reason from the chair'
+      );
+      error.statusCode = 400;
+      error.quorum = quorum;
+      throw error;
+    }
+
+    this.quorumOverride = {
+      reason: quorumOverrideReason,
+      overriddenBy: userId,
+      overriddenAt: new Date()
+    };
+  }
+
+  this.quorum = { ...quorum, checkedAt: new Date() };
   this.published = true;
   this.publishedAt = new Date();
   this.publishedBy = userId;
@@ -307,16 +853,408 @@ meetingSchema.methods.addAttendee = function(userId, status = 'present', time =
   return this.save();
 };
 
+// Method to get the scheduled start as a timestamp, in TIMEZONE like the invites
+meetingSchema.methods.getStartDateTime = function() {
+  return toUTCDateTime(this.date, this.startTime);
+};
+
+// Method to get the self check-in window
+meetingSchema.methods.getCheckInWindow = function() {
+  const start = moment(this.getStartDateTime());
+  return {
+    opensAt: start.clone().subtract(this.checkIn.opensBefore, 'minutes').toDate(),
+    lateAfter: start.clone().add(this.checkIn.lateAfter, 'minutes').toDate(),
+    closesAt: start.clone().add(this.checkIn.closesAfter, 'minutes').toDate()
+  };
+};
+
+// Method to get the check-in code for the rotation period containing a time
+// (needs checkIn.secret, which is not selected by default)
+meetingSchema.methods.getCheckInCode = function(time = new Date()) {
+  const rotation = this.checkIn.rotationSeconds * 1000;
+  const period = Math.floor(new Date(time).getTime() / rotation);
+  const hash = crypto.createHmac('sha256', this.checkIn.secret)
+    .update(`${this._id}:${period}`)
+    .digest();
+
+  return {
+    code: (hash.readUInt32BE(0) % 1000000).toString().padStart(6, '0'),
+    expiresAt: new Date((period + 1) * rotation)
+  };
+};
+
+// Method to check a submitted code, the previous code stays valid for one rotation
+meetingSchema.methods.verifyCheckInCode = function(code, time = new Date()) {
+  const previous = new Date(new Date(time).getTime() - this.checkIn.rotationSeconds * 1000);
+  return [time, previous].some(t => this.getCheckInCode(t).code === String(code).trim());
+};
+
+// Method to record a member's own check-in, present or late by startTime
+meetingSchema.methods.checkInAttendee = function(user, time = new Date()) {
+  const status = time > this.getCheckInWindow().lateAfter ? 'late' : 'present';
+  let attendee = this.attendees.find(a => a.user && a.user.toString() === user._id.toString());
+
+  if (!attendee) {
+    this.attendees.push({ user: user._id, name: user.name, role: user.role });
+    attendee = this.attendees[this.attendees.length - 1];
+  }
+
+  attendee.status = status;
+  attendee.time = time.toLocaleTimeString('en-GB', { timeZone: TIMEZONE, hour: '2-digit', minute: '2-digit' });
+  attendee.checkedInAt = time;
+  attendee.checkInMethod = 'code';
+  return attendee;
+};
+
+// Method to get quorum using the rule configured for the meeting type
+meetingSchema.methods.getQuorum = function() {
+  return calculateQuorum(this);
+};
+
+// Method to get the agenda item being discussed in a live meeting
+meetingSchema.methods.getCurrentAgendaItem = function() {
+  return this.timing?.currentItem ? this.agenda.id(this.timing.currentItem) : null;
+};
+
+// Method to start discussing an agenda item
+meetingSchema.methods.startAgendaItem = function(item, now = new Date()) {
+  item.status = 'in-progress';
+  item.startedAt = now;
+  this.timing.currentItem = item._id;
+};
+
+// Method to stop discussing an agenda item and record its timing
+meetingSchema.methods.finishAgendaItem = function(item, status = 'completed', now = new Date()) {
+  item.status = status;
+
+  if (item.startedAt) {
+    item.endedAt = now;
+    item.actualDuration = minutesBetween(item.startedAt, now);
+    item.overrun = item.duration ? Math.max(0, item.actualDuration - item.duration) : 0;
+  }
+
+  if (this.timing.currentItem && this.timing.currentItem.toString() === item._id.toString()) {
+    this.timing.currentItem = undefined;
+  }
+};
+
+// Method to summarize planned against actual meeting time
+meetingSchema.methods.getTimingSummary = function(now = new Date()) {
+  const startedAt = this.timing?.startedAt;
+  const endedAt = this.timing?.endedAt || now;
+
+  const items = this.agenda.map(item => {
+    const actualDuration = item.status === 'in-progress' && item.startedAt
+      ? minutesBetween(item.startedAt, now)
+      : item.actualDuration;
+
+    return {
+      _id: item._id,
+      title: item.title,
+      status: item.status,
+      plannedDuration: item.duration || 0,
+      actualDuration: actualDuration || 0,
+      overrun: item.duration && actualDuration ? Math.max(0, actualDuration - item.duration) : 0,
+      startedAt: item.startedAt,
+      endedAt: item.endedAt
+    };
+  });
+
+  const actualDuration = startedAt ? minutesBetween(startedAt, endedAt) : 0;
+  const scheduledDuration = this.duration > 0 ? this.duration : 0;
+
+  return {
+    startedAt,
+    endedAt: this.timing?.endedAt,
+    scheduledDuration,
+    plannedDuration: items.reduce((total, item) => total + item.plannedDuration, 0),
+    actualDuration,
+    overrun: scheduledDuration ? Math.max(0, actualDuration - scheduledDuration) : 0,
+    itemsCompleted: items.filter(item => item.status === 'completed').length,
+    itemsPostponed: items.filter(item => item.status === 'postponed').length,
+    items
+  };
+};
+
+// Method to create the draft next meeting from minutes.nextMeeting, carrying
+// over postponed agenda items, open action items and pending questions
+meetingSchema.methods.createFollowUpMeeting = async function(userId) {
+  const next = this.minutes?.nextMeeting;
+  if (this.followUpMeeting || !next?.date) return null;
+
+  const agenda = [];
+
+  this.agenda
+    .filter(item => item.status === 'postponed' && !item.postponedTo)
+    .forEach(item => {
+      agenda.push({
+        title: item.title,
+        presenter: item.presenter,
+        duration: item.duration,
+        description: item.description,
+        carriedFrom: this._id,
+        carryOverType: 'agenda-item',
+        carryOverSource: item._id
+      });
+    });
+
+  const openActionItems = this.minutes.actionItems
+    .filter(item => ['pending', 'in-progress', 'overdue'].includes(item.status));
+  const assignees = await mongoose.model('User')
+    .find({ _id: { $in: openActionItems.map(item => item.assignee).filter(Boolean) } })
+    .select('name');
+
+  openActionItems.forEach(item => {
+    const assignee = assignees.find(user => item.assignee && user._id.equals(item.assignee));
+    agenda.push({
+      title: `Action item: ${item.task}`,
+      presenter: assignee?.name,
+      description: `Status: ${item.status}, ${item.progress || 0}% done` +
+        (item.deadline ? `, due ${moment(item.deadline).format('MMM DD, YYYY')}` : ''),
+      carriedFrom: this._id,
+      carryOverType: 'action-item',
+      carryOverSource: item._id
+    });
+  });
+
+  this.questions
+    .filter(question => ['pending', 'deferred'].includes(question.status))
+    .forEach(question => {
+      agenda.push({
+        title: `Question: ${question.question}`,
+        presenter: question.askedBy,
+        carriedFrom: this._id,
+        carryOverType: 'question',
+        carryOverSource: question._id
+      });
+    });
+
+  // Next meeting keeps the length of this one
+  const startTime = next.time || this.startTime;
+  const endTime = moment(startTime, 'HH:mm')
+    .add(this.duration > 0 ? this.duration : 60, 'minutes')
+    .format('HH:mm');
+
+  const followUp = await this.constructor.create({
+    title: `Follow-up: ${this.title}`.slice(0, 200),
+    type: this.type,
+    date: next.date,
+    startTime,
+    endTime,
+    venue: next.venue || this.venue,
+    chairperson: this.chairperson._id || this.chairperson,
+    minutesTaker: this.minutesTaker._id || this.minutesTaker,
+    objective: next.agenda,
+    attendees: this.attendees.map(attendee => ({
+      user: attendee.user?._id || attendee.user,
+      name: attendee.name,
+      role: attendee.role
+    })),
+    agenda: agenda.map((item, index) => ({ itemNumber: index + 1, ...item })),
+    previousMeeting: this._id,
+    status: 'draft',
+    createdBy: userId
+  });
+
+  this.followUpMeeting = followUp._id;
+  await this.save();
+  return followUp;
+};
+
+// Fields the meeting form may change. Minutes, motions, questions, agenda
+// proposals and check-in have endpoints and workflows of their own.
+const EDITABLE_FIELDS = [
+  'title',
+  'type',
+  'date',
+  'startTime',
+  'endTime',
+  'venue',
+  'chairperson',
+  'minutesTaker',
+  'objective',
+  'agenda',
+  'attendees',
+  'status',
+  'tags'
+];
+
+// Method to apply an edit from the meeting form, other fields are ignored
+meetingSchema.methods.applyEdits = function(updates) {
+  EDITABLE_FIELDS.forEach(field => {
+    if (updates[field] !== undefined) this.set(field, updates[field]);
+  });
+};
+
+// Fields a rollback restores from an earlier version
+const RESTORABLE_FIELDS = [
+  'title',
+  'type',
+  'date',
+  'startTime',
+  'endTime',
+  'venue',
+  'chairperson',
+  'minutesTaker',
+  'objective',
+  'agenda',
+  'attendees',
+  'questions',
+  'minutes',
+  'tags'
+];
+
+// Method to restore an earlier version, saved as a new version
+meetingSchema.methods.restoreVersion = function(snapshot, userId) {
+  RESTORABLE_FIELDS.forEach(field => {
+    this.set(field, snapshot.data[field]);
+  });
+  this.updatedBy = userId;
+  this.$locals.restoredFrom = snapshot.version;
+  return this.save();
+};
+
+// Method to check if the minutes passed review
+meetingSchema.methods.hasApprovedMinutes = function() {
+  return ['approved', 'adopted'].includes(this.minutesApproval?.status);
+};
+
+// Method to check if the minutes can still be edited
+meetingSchema.methods.canEditMinutes = function() {
+  return ['draft', 'changes-requested'].includes(this.minutesApproval?.status || 'draft');
+};
+
+// Method to check for decisions that only count with quorum
+meetingSchema.methods.hasBindingDecisions = function() {
+  return (this.minutes?.decisions || []).some(decision =>
+    decision.binding !== false && decision.result !== 'failed'
+  );
+};
+
+// Method to check if a user is present at the meeting
+meetingSchema.methods.isPresent = function(userId) {
+  return this.attendees.some(a =>
+    a.user &&
+    a.user.toString() === userId.toString() &&
+    ['present', 'late'].includes(a.status)
+  );
+};
+
 // Method to mark action item complete
 meetingSchema.methods.completeActionItem = function(actionItemId, completionDate = new Date()) {
   const actionItem = this.minutes.actionItems.id(actionItemId);
   if (actionItem) {
     actionItem.status = 'completed';
     actionItem.completionDate = completionDate;
+    actionItem.progress = 100;
   }
   return this.save();
 };
 
+// Static method to generate the next SC-YYYY-MM-DD-NNN meeting ID for a day
+meetingSchema.statics.generateMeetingId = async function(date = new Date()) {
+  const day = new Date(date).toISOString().split('T')[0];
+  const prefix = `SC-${day}-`;
+
+  const latest = await this.findOne({ meetingId: { $regex: `^${prefix}` } })
+    .sort({ meetingId: -1 })
+    .select('meetingId');
+
+  const next = latest ? parseInt(latest.meetingId.slice(-3), 10) + 1 : 1;
+  return `${prefix}${String(next).padStart(3, '0')}`;
+};
+
+// Convert HH:mm to minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Static method to find meetings that clash with a proposed slot, either
+// by venue or because the chairperson / minutes taker is already booked
+meetingSchema.statics.findConflicts = async function({
+  date,
+  startTime,
+  endTime,
+  venue,
+  chairperson,
+  minutesTaker,
+  excludeId
+}) {
+  if (!date || !startTime || !endTime) return [];
+
+  const day = toUTCDate(date);
+  const nextDay = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+
+  const query = {
+    date: { $gte: day, $lt: nextDay },
+    status: { $nin: ['cancelled', 'postponed'] }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const candidates = await this.find(query)
+    .select('meetingId title date startTime endTime venue chairperson minutesTaker attendees.user status')
+    .populate('chairperson', 'name')
+    .populate('minutesTaker', 'name');
+
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+  const normalizedVenue = venue ? venue.trim().toLowerCase() : null;
+
+  const officers = [
+    { role: 'chairperson', user: chairperson },
+    { role: 'minutesTaker', user: minutesTaker }
+  ].filter(officer => officer.user);
+
+  const conflicts = [];
+
+  candidates.forEach(meeting => {
+    // Back-to-back meetings (one ends when the next starts) are fine
+    if (!(start < toMinutes(meeting.endTime) && toMinutes(meeting.startTime) < end)) return;
+
+    const reasons = [];
+
+    if (normalizedVenue && meeting.venue && meeting.venue.trim().toLowerCase() === normalizedVenue) {
+      reasons.push({ type: 'venue', venue: meeting.venue });
+    }
+
+    officers.forEach(officer => {
+      const userId = (officer.user._id || officer.user).toString();
+      let bookedAs = null;
+
+      if (meeting.chairperson && meeting.chairperson._id.toString() === userId) {
+        bookedAs = 'chairperson';
+      } else if (meeting.minutesTaker && meeting.minutesTaker._id.toString() === userId) {
+        bookedAs = 'minutesTaker';
+      } else if (meeting.attendees.some(a => a.user && a.user.toString() === userId)) {
+        bookedAs = 'attendee';
+      }
+
+      if (bookedAs) {
+        reasons.push({ type: 'person', user: userId, role: officer.role, bookedAs });
+      }
+    });
+
+    if (reasons.length > 0) {
+      conflicts.push({
+        meeting: {
+          _id: meeting._id,
+          meetingId: meeting.meetingId,
+          title: meeting.title,
+          date: meeting.date,
+          startTime: meeting.startTime,
+          endTime: meeting.endTime,
+          venue: meeting.venue,
+          status: meeting.status
+        },
+        reasons
+      });
+    }
+  });
+
+  return conflicts;
+};
+
 // Static method to get statistics
 meetingSchema.statics.getStatistics = async function() {
   const stats = await this.aggregate([
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { expandRecurrence } = require('../utils/recurrence');
+
+const meetingSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please provide series title'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['regular', 'random', 'special', 'committee'],
+    default: 'regular'
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Please provide start time'],
+    match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'Please provide end time'],
+    match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format']
+  },
+  venue: {
+    type: String,
+    required: [true, 'Please provide venue'],
+    trim: true
+  },
+  chairperson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  minutesTaker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  objective: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Objective cannot be more than 1000 characters']
+  },
+  // Template copied into every occurrence
+  agenda: [{
+    itemNumber: Number,
+    title: String,
+    presenter: String,
+    duration: Number,
+    description: String
+  }],
+  attendees: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    role: String
+  }],
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['weekly', 'biweekly', 'monthly'],
+      required: true
+    },
+    // 0 = Sunday ... 6 = Saturday, defaults to the start date's weekday
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6
+    },
+    // Monthly only: 1-5 or -1 for the last week of the month
+    weekOfMonth: {
+      type: Number,
+      enum: [1, 2, 3, 4, 5, -1]
+    },
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: Date,
+    count: {
+      type: Number,
+      min: 1
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'ended', 'cancelled'],
+    default: 'active'
+  },
+  tags: [String],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Method to get occurrence dates
+meetingSeriesSchema.methods.getOccurrenceDates = function() {
+  return expandRecurrence(this.recurrence);
+};
+
+// Method to build the meeting document for one occurrence
+meetingSeriesSchema.methods.buildOccurrence = function(date) {
+  return {
+    title: this.title,
+    type: this.type,
+    date,
+    startTime: this.startTime,
+    endTime: this.endTime,
+    venue: this.venue,
+    chairperson: this.chairperson,
+    minutesTaker: this.minutesTaker,
+    objective: this.objective,
+    agenda: this.agenda.map(item => ({
+      itemNumber: item.itemNumber,
+      title: item.title,
+      presenter: item.presenter,
+      duration: item.duration,
+      description: item.description
+    })),
+    attendees: this.attendees.map(attendee => ({
+      user: attendee.user,
+      name: attendee.name,
+      role: attendee.role
+    })),
+    tags: this.tags,
+    series: this._id,
+    occurrenceDate: date,
+    status: 'scheduled',
+    createdBy: this.createdBy
+  };
+};
+
+module.exports = mongoose.model('MeetingSeries', meetingSeriesSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const meetingVersionSchema = new mongoose.Schema({
+  meeting: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Meeting',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // Full meeting as saved in this version
+  data: {
+    type: Object,
+    required: true
+  },
+  // Top-level fields changed from the previous version
+  changedFields: [String],
+  // Version this one was restored from by a rollback
+  restoredFrom: Number,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+meetingVersionSchema.index({ meeting: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('MeetingVersion', meetingVersionSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const messageReportSchema = new mongoose.Schema({
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  discussionId: {
+    type: String,
+    required: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'harassment', 'off-topic', 'inappropriate', 'other'],
+    required: [true, 'Please provide a reason for the report']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Details cannot be more than 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  // What the moderator did about the message
+  resolution: {
+    type: String,
+    enum: ['hidden', 'deleted', 'dismissed']
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+messageReportSchema.index({ message: 1, reporter: 1 }, { unique: true });
+messageReportSchema.index({ discussionId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MessageReport', messageReportSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'meeting-invite',
+      'meeting-reminder',
+      'minutes-published',
+      'action-item-assigned',
+      'action-item-due',
+      'action-item-overdue',
+      'chat-mention',
+      'chat-announcement',
+      'chat-thread-reply',
+      'award'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  // Frontend path to open when the notification is clicked
+  link: String,
+  // References of the event, e.g. meeting, actionItem, discussionId, messageId
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  channels: {
+    inApp: {
+      type: Boolean,
+      default: true
+    },
+    email: {
+      type: Boolean,
+      default: false
+    }
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, type: 1, 'data.actionItem': 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
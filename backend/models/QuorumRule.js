@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const quorumRuleSchema = new mongoose.Schema({
+  meetingType: {
+    type: String,
+    enum: ['regular', 'random', 'special', 'committee'],
+    required: true,
+    unique: true
+  },
+  // Who the quorum is measured against
+  basis: {
+    type: String,
+    enum: ['council', 'officers', 'invited'],
+    default: 'council'
+  },
+  // majority = 50% + 1, percentage = at least N% of basis, fixed = at least N members
+  method: {
+    type: String,
+    enum: ['majority', 'percentage', 'fixed'],
+    default: 'majority'
+  },
+  percentage: {
+    type: Number,
+    min: 1,
+    max: 100
+  },
+  fixedCount: {
+    type: Number,
+    min: 1
+  },
+  countLate: {
+    type: Boolean,
+    default: true
+  },
+  description: String,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Validate method specific settings
+quorumRuleSchema.pre('validate', function(next) {
+  if (this.method === 'percentage' && !this.percentage) {
+    this.invalidate('percentage', 'Percentage is required for percentage quorum rules');
+  }
+  if (this.method === 'fixed' && !this.fixedCount) {
+    this.invalidate('fixedCount', 'Fixed count is required for fixed quorum rules');
+  }
+  next();
+});
+
+module.exports = mongoose.model('QuorumRule', quorumRuleSchema);
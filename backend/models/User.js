@@ -137,6 +137,12 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  calendarFeedToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   emailVerificationToken: String,
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const actionItemController = require('../controllers/actionItemController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+// @desc    Get action items across meetings
+// @route   GET /api/action-items
+// @access  Private
+router.get('/', authMiddleware, actionItemController.getActionItems);
+
+// @desc    Get single action item
+// @route   GET /api/action-items/:itemId
+// @access  Private
+router.get('/:itemId', authMiddleware, actionItemController.getActionItem);
+
+// @desc    Update progress of an action item
+// @route   POST /api/action-items/:itemId/progress
+// @access  Private/Assignee
+router.post('/:itemId/progress', authMiddleware, actionItemController.updateProgress);
+
+// @desc    Reassign or reschedule an action item
+// @route   PUT /api/action-items/:itemId/assign
+// @access  Private/Officers
+router.put('/:itemId/assign', authMiddleware, actionItemController.reassignActionItem);
+
+module.exports = router;
@@ -1,489 +1,300 @@
 const express = require('express');
 const router = express.Router();
-const Chat = require('../models/Chat');
-const User = require('../models/User');
+const multer = require('multer');
+const { body } = require('express-validator');
+const chatController = require('../controllers/chatController');
+const moderationController = require('../controllers/moderationController');
+const pollController = require('../controllers/pollController');
 const { authMiddleware } = require('../middleware/authMiddleware');
 
-// @desc    Get all discussions
-// @route   GET /api/chat/discussions
-// @access  Private
-router.get('/discussions', authMiddleware, async (req, res) => {
-  try {
-    const discussions = await Chat.find({
-      participants: req.user._id,
-      isArchived: false
-    })
-      .populate('participants', 'name role avatar')
-      .populate('messages.sender', 'name role avatar')
-      .sort({ lastMessageAt: -1 });
-    
-    res.status(200).json({
-      status: 'success',
-      count: discussions.length,
-      data: discussions
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch discussions',
-      error: error.message
-    });
+// Chat is served by chatController; new messages, edits, deletions, reactions
+// and read receipts are also pushed over the socket channel (utils/socket.js)
+
+// Hard cap on attachment size in MB, discussions set lower limits in settings
+const MAX_FILE_SIZE = parseInt(process.env.CHAT_FILE_MAX_SIZE_MB) || 25;
+const MAX_FILES = 5;
+
+// Files are kept in memory so they can be checked and scanned before storing
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE * 1024 * 1024,
+    files: MAX_FILES
   }
 });
 
-// @desc    Get single discussion
-// @route   GET /api/chat/discussions/:id
-// @access  Private
-router.get('/discussions/:id', authMiddleware, async (req, res) => {
-  try {
-    const discussion = await Chat.findOne({
-      _id: req.params.id,
-      participants: req.user._id
-    })
-      .populate('participants', 'name role avatar')
-      .populate('messages.sender', 'name role avatar')
-      .populate('messages.reactions.user', 'name role')
-      .populate('messages.replies.sender', 'name role');
-    
-    if (!discussion) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Discussion not found'
-      });
-    }
-    
-    // Mark messages as read for current user
-    const unreadMessages = discussion.messages.filter(
-      message => !message.readBy.includes(req.user._id)
-    );
-    
-    if (unreadMessages.length > 0) {
-      unreadMessages.forEach(message => {
-        message.readBy.push(req.user._id);
+// Optional attachments of a message, answers multer errors with 400
+const uploadAttachments = (req, res, next) => {
+  upload.array('files', MAX_FILES)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `File is larger than ${MAX_FILE_SIZE}MB`
+          : error.message
       });
-      
-      discussion.unreadCount = 0;
-      await discussion.save();
     }
-    
-    res.status(200).json({
-      status: 'success',
-      data: discussion
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch discussion',
-      error: error.message
-    });
-  }
-});
+    next();
+  });
+};
+
+// @desc    Get all discussions
+// @route   GET /api/chat/discussions
+// @access  Private
+router.get('/discussions', authMiddleware, chatController.getDiscussions);
 
 // @desc    Create new discussion
 // @route   POST /api/chat/discussions
 // @access  Private
-router.post('/discussions', authMiddleware, async (req, res) => {
-  try {
-    const { title, description, participantIds } = req.body;
-    
-    // Create discussion with current user as participant
-    const participants = [req.user._id, ...(participantIds || [])];
-    
-    const discussion = await Chat.create({
-      title,
-      description,
-      participants,
-      messages: [],
-      isPinned: false,
-      isArchived: false,
-      unreadCount: 0,
-      lastMessageAt: new Date()
-    });
-    
-    const populatedDiscussion = await Chat.findById(discussion._id)
-      .populate('participants', 'name role avatar');
-    
-    res.status(201).json({
-      status: 'success',
-      message: 'Discussion created successfully',
-      data: populatedDiscussion
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to create discussion',
-      error: error.message
-    });
-  }
-});
+router.post('/discussions', [
+  authMiddleware,
+  body('title').notEmpty().withMessage('Discussion title is required'),
+  body('type').optional().isIn(['general', 'committee', 'project', 'private']).withMessage('Invalid discussion type')
+], chatController.createDiscussion);
 
-// @desc    Send message
-// @route   POST /api/chat/discussions/:id/messages
+// @desc    Find or start a private conversation
+// @route   POST /api/chat/conversations
 // @access  Private
-router.post('/discussions/:id/messages', authMiddleware, async (req, res) => {
-  try {
-    const { message, attachments = [] } = req.body;
-    
-    const discussion = await Chat.findOne({
-      _id: req.params.id,
-      participants: req.user._id
-    });
-    
-    if (!discussion) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Discussion not found'
-      });
-    }
-    
-    // Create new message
-    const newMessage = {
-      sender: req.user._id,
-      message,
-      attachments,
-      reactions: [],
-      replies: [],
-      readBy: [req.user._id],
-      timestamp: new Date()
-    };
-    
-    discussion.messages.push(newMessage);
-    discussion.lastMessageAt = new Date();
-    discussion.unreadCount = discussion.participants.length - 1; // All participants except sender
-    
-    await discussion.save();
-    
-    // Populate message with sender info
-    const populatedDiscussion = await Chat.findById(discussion._id)
-      .populate('messages.sender', 'name role avatar')
-      .populate('messages.reactions.user', 'name role');
-    
-    const sentMessage = populatedDiscussion.messages[populatedDiscussion.messages.length - 1];
-    
-    res.status(201).json({
-      status: 'success',
-      message: 'Message sent successfully',
-      data: sentMessage
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to send message',
-      error: error.message
-    });
-  }
-});
+router.post('/conversations', [
+  authMiddleware,
+  body('participants').isArray({ min: 1 }).withMessage('Participants are required')
+], chatController.startConversation);
 
-// @desc    Add reaction to message
-// @route   POST /api/chat/messages/:messageId/reactions
+// @desc    Get single discussion
+// @route   GET /api/chat/discussions/:id
 // @access  Private
-router.post('/messages/:messageId/reactions', authMiddleware, async (req, res) => {
-  try {
-    const { reaction } = req.body;
-    
-    const discussion = await Chat.findOne({
-      'messages._id': req.params.messageId,
-      participants: req.user._id
-    });
-    
-    if (!discussion) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Message not found'
-      });
-    }
-    
-    const message = discussion.messages.id(req.params.messageId);
-    
-    if (!message) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Message not found'
-      });
-    }
-    
-    // Check if user already reacted
-    const existingReaction = message.reactions.find(
-      r => r.user.toString() === req.user._id.toString()
-    );
-    
-    if (existingReaction) {
-      // Update existing reaction
-      existingReaction.reaction = reaction;
-    } else {
-      // Add new reaction
-      message.reactions.push({
-        user: req.user._id,
-        reaction
-      });
-    }
-    
-    await discussion.save();
-    
-    res.status(200).json({
-      status: 'success',
-      message: 'Reaction added successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to add reaction',
-      error: error.message
-    });
-  }
-});
+router.get('/discussions/:id', authMiddleware, chatController.getDiscussion);
 
-// @desc    Reply to message
-// @route   POST /api/chat/messages/:messageId/replies
-// @access  Private
-router.post('/messages/:messageId/replies', authMiddleware, async (req, res) => {
-  try {
-    const { reply } = req.body;
-    
-    const discussion = await Chat.findOne({
-      'messages._id': req.params.messageId,
-      participants: req.user._id
-    });
-    
-    if (!discussion) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Message not found'
-      });
-    }
-    
-    const message = discussion.messages.id(req.params.messageId);
-    
-    if (!message) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Message not found'
-      });
-    }
-    
-    // Add reply
-    message.replies.push({
-      sender: req.user._id,
-      message: reply,
-      timestamp: new Date()
-    });
-    
-    discussion.lastMessageAt = new Date();
-    discussion.unreadCount = discussion.participants.length - 1;
-    
-    await discussion.save();
-    
-    res.status(201).json({
-      status: 'success',
-      message: 'Reply sent successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to send reply',
-      error: error.message
-    });
-  }
-});
+// @desc    Update discussion, including pinning and archiving
+// @route   PUT /api/chat/discussions/:id
+// @access  Private/Discussion admins
+router.put('/discussions/:id', authMiddleware, chatController.updateDiscussion);
 
 // @desc    Pin/unpin discussion
 // @route   PUT /api/chat/discussions/:id/pin
-// @access  Private
-router.put('/discussions/:id/pin', authMiddleware, async (req, res) => {
-  try {
-    const discussion = await Chat.findOne({
-      _id: req.params.id,
-      participants: req.user._id
-    });
-    
-    if (!discussion) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Discussion not found'
-      });
-    }
-    
-    discussion.isPinned = !discussion.isPinned;
-    await discussion.save();
-    
-    res.status(200).json({
-      status: 'success',
-      message: `Discussion ${discussion.isPinned ? 'pinned' : 'unpinned'} successfully`,
-      data: { isPinned: discussion.isPinned }
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to update discussion',
-      error: error.message
-    });
-  }
-});
+// @access  Private/Discussion admins
+router.put('/discussions/:id/pin', authMiddleware, chatController.pinDiscussion);
 
 // @desc    Archive discussion
 // @route   PUT /api/chat/discussions/:id/archive
+// @access  Private/Discussion admins
+router.put('/discussions/:id/archive', authMiddleware, chatController.archiveDiscussion);
+
+// @desc    Get discussion messages, controllers pass ?overrideReason= to open a private conversation
+// @route   GET /api/chat/discussions/:discussionId/messages
 // @access  Private
-router.put('/discussions/:id/archive', authMiddleware, async (req, res) => {
-  try {
-    const discussion = await Chat.findOne({
-      _id: req.params.id,
-      participants: req.user._id
-    });
-    
-    if (!discussion) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Discussion not found'
-      });
-    }
-    
-    discussion.isArchived = true;
-    await discussion.save();
-    
-    res.status(200).json({
-      status: 'success',
-      message: 'Discussion archived successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to archive discussion',
-      error: error.message
-    });
-  }
-});
+router.get('/discussions/:discussionId/messages', authMiddleware, chatController.getMessages);
+
+// @desc    Add participant to discussion
+// @route   POST /api/chat/discussions/:id/participants
+// @access  Private/Discussion admins
+router.post('/discussions/:id/participants', authMiddleware, chatController.addParticipant);
+
+// @desc    Remove participant from discussion
+// @route   DELETE /api/chat/discussions/:id/participants/:userId
+// @access  Private/Discussion admins
+router.delete('/discussions/:id/participants/:userId', authMiddleware, chatController.removeParticipant);
 
 // @desc    Clear chat history
 // @route   DELETE /api/chat/discussions/:id/messages
+// @access  Private/Discussion admins
+router.delete('/discussions/:id/messages', authMiddleware, chatController.clearMessages);
+
+// Checks of a new message, the text is optional when files are attached
+const validateMessage = [
+  body('discussionId').notEmpty().withMessage('Discussion is required'),
+  body('message').if((value, { req }) => !req.files?.length)
+    .notEmpty().withMessage('Message is required'),
+  body('message').optional()
+    .isLength({ max: 2000 }).withMessage('Message cannot exceed 2000 characters')
+];
+
+// @desc    Send message, as JSON or multipart with up to 5 `files`
+// @route   POST /api/chat/messages
 // @access  Private
-router.delete('/discussions/:id/messages', authMiddleware, async (req, res) => {
-  try {
-    const discussion = await Chat.findOne({
-      _id: req.params.id,
-      participants: req.user._id
-    });
-    
-    if (!discussion) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Discussion not found'
-      });
-    }
-    
-    discussion.messages = [];
-    discussion.lastMessageAt = new Date();
-    discussion.unreadCount = 0;
-    
-    await discussion.save();
-    
-    res.status(200).json({
-      status: 'success',
-      message: 'Chat history cleared successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to clear chat history',
-      error: error.message
-    });
-  }
-});
+router.post('/messages', [
+  authMiddleware,
+  uploadAttachments,
+  ...validateMessage
+], chatController.sendMessage);
+
+// @desc    Send message to a discussion, same as POST /api/chat/messages
+// @route   POST /api/chat/discussions/:id/messages
+// @access  Private
+router.post('/discussions/:id/messages', [
+  authMiddleware,
+  uploadAttachments,
+  (req, res, next) => {
+    req.body.discussionId = req.params.id;
+    next();
+  },
+  ...validateMessage
+], chatController.sendMessage);
+
+// @desc    Get poll results and own vote
+// @route   GET /api/chat/messages/:id/poll
+// @access  Private
+router.get('/messages/:id/poll', authMiddleware, pollController.getPoll);
+
+// @desc    Vote in a poll
+// @route   POST /api/chat/messages/:id/votes
+// @access  Private
+router.post('/messages/:id/votes', [
+  authMiddleware,
+  body('options').notEmpty().withMessage('Please choose an option')
+], pollController.vote);
+
+// @desc    Withdraw vote from a poll
+// @route   DELETE /api/chat/messages/:id/votes
+// @access  Private
+router.delete('/messages/:id/votes', authMiddleware, pollController.removeVote);
+
+// @desc    Close a poll
+// @route   POST /api/chat/messages/:id/poll/close
+// @access  Private/Poll author or discussion admins
+router.post('/messages/:id/poll/close', authMiddleware, pollController.closePoll);
+
+// @desc    Pin message
+// @route   POST /api/chat/messages/:id/pin
+// @access  Private/Discussion admins
+router.post('/messages/:id/pin', authMiddleware, chatController.pinMessage);
+
+// @desc    Unpin message
+// @route   DELETE /api/chat/messages/:id/pin
+// @access  Private/Discussion admins
+router.delete('/messages/:id/pin', authMiddleware, chatController.unpinMessage);
+
+// @desc    Get pinned messages of a discussion
+// @route   GET /api/chat/discussions/:id/pins
+// @access  Private
+router.get('/discussions/:id/pins', authMiddleware, chatController.getPinnedMessages);
+
+// @desc    Download a message attachment
+// @route   GET /api/chat/messages/:id/attachments/:attachmentId
+// @access  Private
+router.get('/messages/:id/attachments/:attachmentId', authMiddleware, chatController.downloadAttachment);
+
+// @desc    Get the files shared in a discussion
+// @route   GET /api/chat/discussions/:id/files
+// @access  Private
+router.get('/discussions/:id/files', authMiddleware, chatController.getFiles);
+
+// @desc    Edit message
+// @route   PUT /api/chat/messages/:id
+// @access  Private
+router.put('/messages/:id', authMiddleware, chatController.editMessage);
+
+// @desc    Delete message
+// @route   DELETE /api/chat/messages/:id
+// @access  Private
+router.delete('/messages/:id', authMiddleware, chatController.deleteMessage);
+
+// @desc    Add reaction to message
+// @route   POST /api/chat/messages/:id/reactions
+// @access  Private
+router.post('/messages/:id/reactions', authMiddleware, chatController.addReaction);
+
+// @desc    Remove reaction from message
+// @route   DELETE /api/chat/messages/:id/reactions/:reaction
+// @access  Private
+router.delete('/messages/:id/reactions/:reaction', authMiddleware, chatController.removeReaction);
+
+// @desc    Reply to message in its thread
+// @route   POST /api/chat/messages/:id/replies
+// @access  Private
+router.post('/messages/:id/replies', [
+  authMiddleware,
+  body('message').notEmpty().withMessage('Message is required')
+    .isLength({ max: 2000 }).withMessage('Message cannot exceed 2000 characters')
+], chatController.replyToMessage);
+
+// @desc    Get a thread with its replies
+// @route   GET /api/chat/messages/:id/thread
+// @access  Private
+router.get('/messages/:id/thread', authMiddleware, chatController.getThread);
+
+// @desc    Report a message to the moderators
+// @route   POST /api/chat/messages/:id/report
+// @access  Private
+router.post('/messages/:id/report', [
+  authMiddleware,
+  body('reason').isIn(['spam', 'harassment', 'off-topic', 'inappropriate', 'other']).withMessage('Invalid report reason'),
+  body('details').optional().isLength({ max: 500 }).withMessage('Details cannot exceed 500 characters')
+], moderationController.reportMessage);
+
+// @desc    Hide a message
+// @route   POST /api/chat/messages/:id/hide
+// @access  Private/Discussion admins
+router.post('/messages/:id/hide', authMiddleware, moderationController.hideMessage);
+
+// @desc    Unhide a message
+// @route   DELETE /api/chat/messages/:id/hide
+// @access  Private/Discussion admins
+router.delete('/messages/:id/hide', authMiddleware, moderationController.unhideMessage);
+
+// @desc    Dismiss the reports of a message
+// @route   POST /api/chat/messages/:id/reports/dismiss
+// @access  Private/Discussion admins
+router.post('/messages/:id/reports/dismiss', authMiddleware, moderationController.dismissReports);
+
+// @desc    Get moderation queue
+// @route   GET /api/chat/moderation/queue
+// @access  Private/Discussion admins
+router.get('/moderation/queue', authMiddleware, moderationController.getModerationQueue);
+
+// @desc    Mute a participant
+// @route   POST /api/chat/discussions/:id/mutes
+// @access  Private/Discussion admins
+router.post('/discussions/:id/mutes', authMiddleware, moderationController.muteParticipant);
+
+// @desc    Unmute a participant
+// @route   DELETE /api/chat/discussions/:id/mutes/:userId
+// @access  Private/Discussion admins
+router.delete('/discussions/:id/mutes/:userId', authMiddleware, moderationController.unmuteParticipant);
+
+// @desc    Lock or unlock a discussion
+// @route   PUT /api/chat/discussions/:id/lock
+// @access  Private/Discussion admins
+router.put('/discussions/:id/lock', authMiddleware, moderationController.lockDiscussion);
+
+// @desc    Get moderation audit trail
+// @route   GET /api/chat/discussions/:id/audit
+// @access  Private/Discussion admins
+router.get('/discussions/:id/audit', authMiddleware, moderationController.getAuditLog);
+
+// @desc    Mark discussion read up to a message
+// @route   PUT /api/chat/discussions/:id/read
+// @access  Private
+router.put('/discussions/:id/read', authMiddleware, chatController.markRead);
+
+// @desc    Get who has read a message
+// @route   GET /api/chat/messages/:id/receipts
+// @access  Private
+router.get('/messages/:id/receipts', authMiddleware, chatController.getReadReceipts);
+
+// @desc    Get unread message counts
+// @route   GET /api/chat/unread
+// @access  Private
+router.get('/unread', authMiddleware, chatController.getUnreadCount);
 
 // @desc    Get chat statistics
 // @route   GET /api/chat/stats
 // @access  Private
-router.get('/stats', authMiddleware, async (req, res) => {
-  try {
-    const totalDiscussions = await Chat.countDocuments({
-      participants: req.user._id,
-      isArchived: false
-    });
-    
-    const pinnedDiscussions = await Chat.countDocuments({
-      participants: req.user._id,
-      isPinned: true,
-      isArchived: false
-    });
-    
-    const totalMessages = await Chat.aggregate([
-      { $match: { participants: req.user._id } },
-      { $unwind: '$messages' },
-      { $count: 'totalMessages' }
-    ]);
-    
-    const unreadCount = await Chat.aggregate([
-      { $match: { participants: req.user._id, isArchived: false } },
-      { $group: { _id: null, totalUnread: { $sum: '$unreadCount' } } }
-    ]);
-    
-    res.status(200).json({
-      status: 'success',
-      data: {
-        totalDiscussions,
-        pinnedDiscussions,
-        totalMessages: totalMessages[0]?.totalMessages || 0,
-        unreadMessages: unreadCount[0]?.totalUnread || 0
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to fetch chat statistics',
-      error: error.message
-    });
-  }
-});
+router.get('/stats', authMiddleware, chatController.getChatStats);
 
 // @desc    Search messages
 // @route   GET /api/chat/search
 // @access  Private
-router.get('/search', authMiddleware, async (req, res) => {
-  try {
-    const { query } = req.query;
-    
-    if (!query || query.trim().length < 2) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Search query must be at least 2 characters'
-      });
-    }
-    
-    const discussions = await Chat.find({
-      participants: req.user._id,
-      'messages.message': { $regex: query, $options: 'i' }
-    })
-      .select('title messages')
-      .populate('messages.sender', 'name role');
-    
-    // Filter messages that match the query
-    const results = [];
-    
-    discussions.forEach(discussion => {
-      const matchingMessages = discussion.messages.filter(message =>
-        message.message.toLowerCase().includes(query.toLowerCase())
-      );
-      
-      if (matchingMessages.length > 0) {
-        results.push({
-          discussionId: discussion._id,
-          discussionTitle: discussion.title,
-          messages: matchingMessages
-        });
-      }
-    });
-    
-    res.status(200).json({
-      status: 'success',
-      count: results.length,
-      data: results
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Failed to search messages',
-      error: error.message
-    });
-  }
-});
+router.get('/search', authMiddleware, chatController.searchMessages);
+
+// @desc    Get messages that mention the user
+// @route   GET /api/chat/mentions
+// @access  Private
+router.get('/mentions', authMiddleware, chatController.getMentions);
+
+// @desc    Get online presence, for clients without a socket
+// @route   GET /api/chat/presence
+// @access  Private
+router.get('/presence', authMiddleware, chatController.getPresence);
 
 module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const documentController = require('../controllers/documentController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+// Maximum document size in MB
+const MAX_DOCUMENT_SIZE = parseInt(process.env.DOCUMENT_MAX_SIZE_MB) || 20;
+
+// Files are kept in memory so their content can be checked before storing
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_DOCUMENT_SIZE * 1024 * 1024,
+    files: 1
+  }
+});
+
+// Single file upload that answers multer errors with 400
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `File is larger than ${MAX_DOCUMENT_SIZE}MB`
+          : error.message
+      });
+    }
+    next();
+  });
+};
+
+// @desc    Get document library
+// @route   GET /api/documents
+// @access  Private
+router.get('/', authMiddleware, documentController.getDocuments);
+
+// @desc    Upload a document
+// @route   POST /api/documents
+// @access  Private/Meeting officers
+router.post('/', authMiddleware, uploadFile, documentController.uploadDocument);
+
+// @desc    Get document with its versions
+// @route   GET /api/documents/:id
+// @access  Private
+router.get('/:id', authMiddleware, documentController.getDocument);
+
+// @desc    Download a document
+// @route   GET /api/documents/:id/download
+// @access  Private
+router.get('/:id/download', authMiddleware, documentController.downloadDocument);
+
+// @desc    Upload a new version of a document
+// @route   POST /api/documents/:id/versions
+// @access  Private/Meeting officers
+router.post('/:id/versions', authMiddleware, uploadFile, documentController.uploadVersion);
+
+// @desc    Delete a document
+// @route   DELETE /api/documents/:id
+// @access  Private/Meeting officers
+router.delete('/:id', authMiddleware, documentController.deleteDocument);
+
+module.exports = router;
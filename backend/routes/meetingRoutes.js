@@ -1,11 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
+const rateLimit = require('express-rate-limit');
 const Meeting = require('../models/Meeting');
 const User = require('../models/User');
 const { authMiddleware, authorizeRoles, isController } = require('../middleware/authMiddleware');
-const { sendMeetingInvitation, sendMeetingMinutes } = require('../utils/emailService');
+const { sendMeetingMinutes } = require('../utils/emailService');
+const { sendInvitations } = require('../utils/invitations');
 const { generateMeetingId } = require('../utils/helpers');
+const { syncPerformanceTasks, notifyAssignees } = require('../utils/actionItems');
+const { notify, wantsEmail } = require('../utils/notifications');
+const meetingController = require('../controllers/meetingController');
+const meetingSeriesController = require('../controllers/meetingSeriesController');
+const motionController = require('../controllers/motionController');
+const quorumController = require('../controllers/quorumController');
+const liveMeetingController = require('../controllers/liveMeetingController');
+const attendanceController = require('../controllers/attendanceController');
+const versionController = require('../controllers/versionController');
+const minutesController = require('../controllers/minutesController');
+const agendaProposalController = require('../controllers/agendaProposalController');
+const questionController = require('../controllers/questionController');
+
+// Wrong check-in codes a member may submit for a meeting, so the short codes
+// cannot be guessed within their rotation
+const checkInLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000,
+  limit: 5,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => `${req.user.id}:${req.params.id}`,
+  message: {
+    success: false,
+    message: 'Too many check-in attempts, please try again in a few minutes'
+  }
+});
 
 // @desc    Get all meetings
 // @route   GET /api/meetings
@@ -57,6 +84,95 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
+// @desc    Get calendar events
+// @route   GET /api/meetings/calendar
+// @access  Private
+router.get('/calendar', authMiddleware, meetingController.getCalendarEvents);
+
+// @desc    Get personal iCalendar feed URL
+// @route   GET /api/meetings/calendar/feed-url
+// @access  Private
+router.get('/calendar/feed-url', authMiddleware, meetingController.getCalendarFeedUrl);
+
+// @desc    Reset personal iCalendar feed URL
+// @route   POST /api/meetings/calendar/feed-url/reset
+// @access  Private
+router.post('/calendar/feed-url/reset', authMiddleware, meetingController.resetCalendarFeedUrl);
+
+// @desc    iCalendar feed of meetings the member is invited to
+// @route   GET /api/meetings/calendar/feed/:token.ics
+// @access  Public (token in URL)
+router.get('/calendar/feed/:token', meetingController.getCalendarFeed);
+
+// @desc    Get quorum rules per meeting type
+// @route   GET /api/meetings/quorum-rules
+// @access  Private
+router.get('/quorum-rules', authMiddleware, quorumController.getQuorumRules);
+
+// @desc    Set quorum rule of a meeting type
+// @route   PUT /api/meetings/quorum-rules/:type
+// @access  Private/Controller
+router.put('/quorum-rules/:type', [
+  authMiddleware,
+  isController
+], quorumController.updateQuorumRule);
+
+// @desc    Get all meeting series
+// @route   GET /api/meetings/series
+// @access  Private
+router.get('/series', authMiddleware, meetingSeriesController.getAllSeries);
+
+// @desc    Create recurring meeting series
+// @route   POST /api/meetings/series
+// @access  Private/Secretary
+router.post('/series', [
+  authMiddleware,
+  authorizeRoles('Secretary', 'President', 'Controller')
+], [
+  body('title').notEmpty().withMessage('Series title is required'),
+  body('startTime').notEmpty().withMessage('Start time is required'),
+  body('endTime').notEmpty().withMessage('End time is required'),
+  body('venue').notEmpty().withMessage('Venue is required'),
+  body('recurrence').isObject().withMessage('Recurrence rule is required')
+], meetingSeriesController.createSeries);
+
+// @desc    Get meeting series with its occurrences
+// @route   GET /api/meetings/series/:id
+// @access  Private
+router.get('/series/:id', authMiddleware, meetingSeriesController.getSeries);
+
+// @desc    Update meeting series and its upcoming occurrences
+// @route   PUT /api/meetings/series/:id
+// @access  Private/Secretary
+router.put('/series/:id', [
+  authMiddleware,
+  authorizeRoles('Secretary', 'President', 'Controller')
+], meetingSeriesController.updateSeries);
+
+// @desc    Cancel meeting series
+// @route   DELETE /api/meetings/series/:id
+// @access  Private/Secretary
+router.delete('/series/:id', [
+  authMiddleware,
+  authorizeRoles('Secretary', 'President', 'Controller')
+], meetingSeriesController.cancelSeries);
+
+// @desc    Edit a single occurrence of a series
+// @route   PUT /api/meetings/series/:id/occurrences/:meetingId
+// @access  Private/Secretary
+router.put('/series/:id/occurrences/:meetingId', [
+  authMiddleware,
+  authorizeRoles('Secretary', 'President', 'Controller')
+], meetingSeriesController.updateOccurrence);
+
+// @desc    Cancel a single occurrence of a series
+// @route   POST /api/meetings/series/:id/occurrences/:meetingId/cancel
+// @access  Private/Secretary
+router.post('/series/:id/occurrences/:meetingId/cancel', [
+  authMiddleware,
+  authorizeRoles('Secretary', 'President', 'Controller')
+], meetingSeriesController.cancelOccurrence);
+
 // @desc    Get single meeting
 // @route   GET /api/meetings/:id
 // @access  Private
@@ -114,9 +230,29 @@ router.post('/', [
       minutesTaker = req.user._id,
       objective,
       agenda = [],
-      attendees = []
+      attendees = [],
+      overrideConflicts
     } = req.body;
     
+    // Check venue and officer availability
+    const conflicts = await Meeting.findConflicts({
+      date,
+      startTime,
+      endTime,
+      venue,
+      chairperson,
+      minutesTaker
+    });
+    
+    if (conflicts.length > 0 && !(overrideConflicts && req.user.isController)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Meeting conflicts with existing meetings',
+        canOverride: Boolean(req.user.isController),
+        conflicts
+      });
+    }
+    
     // Generate meeting ID
     const meetingId = generateMeetingId();
     
@@ -139,7 +275,14 @@ router.post('/', [
         time: attendee.time || startTime,
         notes: attendee.notes
       })),
-      status: 'scheduled'
+      status: 'scheduled',
+      ...(conflicts.length > 0 && {
+        conflictOverride: {
+          overriddenBy: req.user._id,
+          overriddenAt: new Date(),
+          meetings: conflicts.map(conflict => conflict.meeting._id)
+        }
+      })
     });
     
     // Populate for response
@@ -170,22 +313,67 @@ router.put('/:id', [
   authorizeRoles('Secretary', 'President', 'Controller')
 ], async (req, res) => {
   try {
-    const meeting = await Meeting.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    )
-      .populate('chairperson', 'name role')
-      .populate('minutesTaker', 'name role')
-      .populate('attendees.user', 'name role');
+    const existing = await Meeting.findById(req.params.id);
     
-    if (!meeting) {
+    if (!existing) {
       return res.status(404).json({
         status: 'error',
         message: 'Meeting not found'
       });
     }
     
+    const { overrideConflicts, ...updates } = req.body;
+    
+    if (updates.minutes !== undefined || updates.minutesApproval !== undefined) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Minutes are edited and approved through the minutes endpoints'
+      });
+    }
+    
+    // Check venue and officer availability when the slot or officers change
+    let conflicts = [];
+    
+    if (['date', 'startTime', 'endTime', 'venue', 'chairperson', 'minutesTaker']
+      .some(field => updates[field] !== undefined) && updates.status !== 'cancelled') {
+      conflicts = await Meeting.findConflicts({
+        date: updates.date || existing.date,
+        startTime: updates.startTime || existing.startTime,
+        endTime: updates.endTime || existing.endTime,
+        venue: updates.venue || existing.venue,
+        chairperson: updates.chairperson || existing.chairperson,
+        minutesTaker: updates.minutesTaker || existing.minutesTaker,
+        excludeId: existing._id
+      });
+      
+      if (conflicts.length > 0 && !(overrideConflicts && req.user.isController)) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'Meeting conflicts with existing meetings',
+          canOverride: Boolean(req.user.isController),
+          conflicts
+        });
+      }
+    }
+    
+    // Saved rather than updated by query so the version history records it
+    existing.applyEdits(updates);
+    existing.updatedBy = req.user._id;
+    if (conflicts.length > 0) {
+      existing.conflictOverride = {
+        overriddenBy: req.user._id,
+        overriddenAt: new Date(),
+        meetings: conflicts.map(conflict => conflict.meeting._id)
+      };
+    }
+    await existing.save();
+    
+    const meeting = await existing.populate([
+      { path: 'chairperson', select: 'name role' },
+      { path: 'minutesTaker', select: 'name role' },
+      { path: 'attendees.user', select: 'name role' }
+    ]);
+    
     res.status(200).json({
       status: 'success',
       message: 'Meeting updated successfully',
@@ -238,9 +426,7 @@ router.post('/:id/invite', [
   authorizeRoles('Secretary', 'President', 'Controller')
 ], async (req, res) => {
   try {
-    const meeting = await Meeting.findById(req.params.id)
-      .populate('chairperson', 'name email')
-      .populate('attendees.user', 'name email');
+    const meeting = await Meeting.findById(req.params.id);
     
     if (!meeting) {
       return res.status(404).json({
@@ -249,22 +435,7 @@ router.post('/:id/invite', [
       });
     }
     
-    // Get attendees emails
-    const attendees = meeting.attendees.map(attendee => ({
-      name: attendee.user.name,
-      email: attendee.user.email
-    }));
-    
-    // Add chairperson if not in attendees
-    if (!attendees.find(a => a.email === meeting.chairperson.email)) {
-      attendees.push({
-        name: meeting.chairperson.name,
-        email: meeting.chairperson.email
-      });
-    }
-    
-    // Send invitation emails
-    const emailSent = await sendMeetingInvitation(meeting, attendees);
+    const { invited, emailed, emailSent } = await sendInvitations(meeting);
     
     if (!emailSent) {
       return res.status(500).json({
@@ -275,7 +446,7 @@ router.post('/:id/invite', [
     
     res.status(200).json({
       status: 'success',
-      message: `Meeting invitations sent to ${attendees.length} attendees`
+      message: `Meeting invitations sent to ${invited} attendees (${emailed} by email)`
     });
   } catch (error) {
     res.status(500).json({
@@ -286,6 +457,11 @@ router.post('/:id/invite', [
   }
 });
 
+// @desc    Send meeting reminders
+// @route   POST /api/meetings/:id/reminders
+// @access  Private/Chair
+router.post('/:id/reminders', authMiddleware, meetingController.sendReminders);
+
 // @desc    Update meeting minutes
 // @route   PUT /api/meetings/:id/minutes
 // @access  Private/Secretary
@@ -305,6 +481,18 @@ router.put('/:id/minutes', [
       });
     }
     
+    // Minutes under review or approved are changed through the approval workflow
+    if (!meeting.canEditMinutes()) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Minutes are ${meeting.minutesApproval.status} and can no longer be edited`
+      });
+    }
+    
+    const previousItems = (meeting.minutes?.actionItems || [])
+      .map(item => ({ _id: item._id, assignee: item.assignee }));
+    const previousAssignees = previousItems.map(item => item.assignee);
+    
     // Update minutes
     meeting.minutes = {
       summary: summary || meeting.minutes?.summary,
@@ -316,9 +504,22 @@ router.put('/:id/minutes', [
     // Update meeting status to completed
     meeting.status = 'completed';
     meeting.updatedAt = new Date();
+    meeting.updatedBy = req.user._id;
     
     await meeting.save();
     
+    // Keep assignees' task records in line with the new minutes
+    await syncPerformanceTasks([
+      ...previousAssignees,
+      ...meeting.minutes.actionItems.map(item => item.assignee)
+    ]);
+    
+    // Notify members of items that are new to them
+    await notifyAssignees(meeting, meeting.minutes.actionItems.filter(item => {
+      const previous = previousItems.find(p => p._id && p._id.equals(item._id));
+      return item.assignee && previous?.assignee?.toString() !== item.assignee.toString();
+    }));
+    
     // Populate for response
     const populatedMeeting = await Meeting.findById(meeting._id)
       .populate('minutes.actionItems.assignee', 'name role');
@@ -346,7 +547,7 @@ router.post('/:id/publish', [
 ], async (req, res) => {
   try {
     const meeting = await Meeting.findById(req.params.id)
-      .populate('attendees.user', 'name email');
+      .populate('attendees.user', 'name email preferences');
     
     if (!meeting) {
       return res.status(404).json({
@@ -363,22 +564,59 @@ router.post('/:id/publish', [
       });
     }
     
+    // Only the chair can vouch for binding decisions taken without quorum
+    const { quorumOverrideReason } = req.body;
+    if (quorumOverrideReason &&
+        !req.user.isController &&
+        meeting.chairperson.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the chairperson can override the quorum requirement'
+      });
+    }
+    
     // Update meeting status
-    meeting.published = true;
-    meeting.publishedAt = new Date();
-    await meeting.save();
+    try {
+      await meeting.publish(req.user.id, { quorumOverrideReason });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message,
+        quorum: error.quorum
+      });
+    }
     
-    // Send minutes to attendees
-    const attendees = meeting.attendees.map(attendee => ({
-      name: attendee.user.name,
-      email: attendee.user.email
-    }));
+    // Carry unfinished business over to a draft of the next meeting
+    const followUpMeeting = await meeting.createFollowUpMeeting(req.user.id);
+    
+    // Notify attendees, the minutes email goes to those who take email
+    const recipients = meeting.attendees.map(attendee => attendee.user).filter(Boolean);
+    await notify(recipients.map(user => user._id), {
+      type: 'minutes-published',
+      title: `Minutes published: ${meeting.title}`,
+      message: `The minutes of ${meeting.title} have been published`,
+      link: `/meeting/${meeting._id}`,
+      data: { meeting: meeting._id }
+    }, { email: false });
+    
+    const attendees = recipients
+      .filter(user => wantsEmail(user, 'minutes-published'))
+      .map(user => ({
+        name: user.name,
+        email: user.email
+      }));
     
-    await sendMeetingMinutes(meeting, attendees);
+    if (attendees.length > 0) {
+      await sendMeetingMinutes(meeting, attendees);
+    }
     
     res.status(200).json({
       status: 'success',
-      message: 'Meeting minutes published and sent to attendees'
+      message: 'Meeting minutes published and sent to attendees',
+      data: {
+        followUpMeeting
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -417,6 +655,7 @@ router.post('/:id/archive', [
     // Archive meeting
     meeting.archived = true;
     meeting.archivedAt = new Date();
+    meeting.updatedBy = req.user._id;
     await meeting.save();
     
     res.status(200).json({
@@ -452,6 +691,7 @@ router.post('/:id/restore', [
     // Restore meeting
     meeting.archived = false;
     meeting.archivedAt = null;
+    meeting.updatedBy = req.user._id;
     await meeting.save();
     
     res.status(200).json({
@@ -589,4 +829,202 @@ router.get('/recent', authMiddleware, async (req, res) => {
   }
 });
 
+// @desc    Get motions of a meeting
+// @route   GET /api/meetings/:id/motions
+// @access  Private
+router.get('/:id/motions', authMiddleware, motionController.getMotions);
+
+// @desc    Propose a motion
+// @route   POST /api/meetings/:id/motions
+// @access  Private
+router.post('/:id/motions', authMiddleware, [
+  body('agendaItemId').notEmpty().withMessage('Agenda item is required'),
+  body('title').notEmpty().withMessage('Motion title is required'),
+  body('votingMethod').optional().isIn(['roll-call', 'secret']).withMessage('Invalid voting method')
+], motionController.proposeMotion);
+
+// @desc    Second a motion
+// @route   POST /api/meetings/:id/motions/:motionId/second
+// @access  Private
+router.post('/:id/motions/:motionId/second', authMiddleware, motionController.secondMotion);
+
+// @desc    Withdraw a motion
+// @route   POST /api/meetings/:id/motions/:motionId/withdraw
+// @access  Private
+router.post('/:id/motions/:motionId/withdraw', authMiddleware, motionController.withdrawMotion);
+
+// @desc    Open voting on a motion
+// @route   POST /api/meetings/:id/motions/:motionId/open
+// @access  Private/Chair
+router.post('/:id/motions/:motionId/open', authMiddleware, motionController.openVoting);
+
+// @desc    Cast a vote on a motion
+// @route   POST /api/meetings/:id/motions/:motionId/vote
+// @access  Private
+router.post('/:id/motions/:motionId/vote', authMiddleware, motionController.castVote);
+
+// @desc    Close voting on a motion
+// @route   POST /api/meetings/:id/motions/:motionId/close
+// @access  Private/Chair
+router.post('/:id/motions/:motionId/close', authMiddleware, motionController.closeVoting);
+
+// @desc    Get live quorum of a meeting
+// @route   GET /api/meetings/:id/quorum
+// @access  Private
+router.get('/:id/quorum', authMiddleware, quorumController.getMeetingQuorum);
+
+// @desc    Get live state of a meeting
+// @route   GET /api/meetings/:id/live
+// @access  Private
+router.get('/:id/live', authMiddleware, liveMeetingController.getLiveState);
+
+// @desc    Start a scheduled meeting
+// @route   POST /api/meetings/:id/live/start
+// @access  Private/Chair
+router.post('/:id/live/start', authMiddleware, liveMeetingController.startMeeting);
+
+// @desc    Move to the next agenda item
+// @route   POST /api/meetings/:id/live/next
+// @access  Private/Chair
+router.post('/:id/live/next', authMiddleware, liveMeetingController.nextAgendaItem);
+
+// @desc    Postpone an agenda item
+// @route   POST /api/meetings/:id/live/items/:itemId/postpone
+// @access  Private/Chair
+router.post('/:id/live/items/:itemId/postpone', authMiddleware, liveMeetingController.postponeAgendaItem);
+
+// @desc    Close a running meeting
+// @route   POST /api/meetings/:id/live/close
+// @access  Private/Chair
+router.post('/:id/live/close', authMiddleware, liveMeetingController.closeMeeting);
+
+// @desc    Get rotating check-in code and QR payload
+// @route   GET /api/meetings/:id/check-in/code
+// @access  Private/Officers
+router.get('/:id/check-in/code', authMiddleware, attendanceController.getCheckInCode);
+
+// @desc    Update check-in window and late threshold
+// @route   PUT /api/meetings/:id/check-in/settings
+// @access  Private/Officers
+router.put('/:id/check-in/settings', authMiddleware, attendanceController.updateCheckInSettings);
+
+// @desc    Check in with the meeting code
+// @route   POST /api/meetings/:id/check-in
+// @access  Private
+router.post('/:id/check-in', authMiddleware, checkInLimiter, attendanceController.checkIn);
+
+// @desc    Correct an attendance entry
+// @route   PUT /api/meetings/:id/attendees/:userId/correct
+// @access  Private/Controller
+router.put('/:id/attendees/:userId/correct', [
+  authMiddleware,
+  isController
+], [
+  body('status').isIn(['present', 'absent', 'late', 'excused']).withMessage('Invalid attendance status'),
+  body('reason').notEmpty().withMessage('Reason for the correction is required')
+], attendanceController.correctAttendance);
+
+// @desc    Get version history of a meeting
+// @route   GET /api/meetings/:id/versions
+// @access  Private
+router.get('/:id/versions', authMiddleware, versionController.getVersions);
+
+// @desc    Compare two versions of a meeting
+// @route   GET /api/meetings/:id/versions/diff
+// @access  Private
+router.get('/:id/versions/diff', authMiddleware, versionController.getVersionDiff);
+
+// @desc    Get a single version of a meeting
+// @route   GET /api/meetings/:id/versions/:version
+// @access  Private
+router.get('/:id/versions/:version', authMiddleware, versionController.getVersion);
+
+// @desc    Restore an earlier version of a meeting
+// @route   POST /api/meetings/:id/versions/:version/rollback
+// @access  Private/Officers
+router.post('/:id/versions/:version/rollback', authMiddleware, versionController.rollbackVersion);
+
+// @desc    Get review status of the minutes
+// @route   GET /api/meetings/:id/minutes/approval
+// @access  Private
+router.get('/:id/minutes/approval', authMiddleware, minutesController.getMinutesApproval);
+
+// @desc    Submit draft minutes for review
+// @route   POST /api/meetings/:id/minutes/submit
+// @access  Private/Secretary
+router.post('/:id/minutes/submit', authMiddleware, minutesController.submitMinutes);
+
+// @desc    Approve minutes or request changes
+// @route   POST /api/meetings/:id/minutes/review
+// @access  Private/Reviewers
+router.post('/:id/minutes/review', authMiddleware, minutesController.reviewMinutes);
+
+// @desc    Adopt approved minutes at a later meeting
+// @route   POST /api/meetings/:id/minutes/adopt
+// @access  Private/Chair
+router.post('/:id/minutes/adopt', authMiddleware, minutesController.adoptMinutes);
+
+// @desc    Get agenda proposals of a meeting
+// @route   GET /api/meetings/:id/agenda-proposals
+// @access  Private
+router.get('/:id/agenda-proposals', authMiddleware, agendaProposalController.getAgendaProposals);
+
+// @desc    Propose an agenda item
+// @route   POST /api/meetings/:id/agenda-proposals
+// @access  Private
+router.post('/:id/agenda-proposals', authMiddleware, [
+  body('title').notEmpty().withMessage('Agenda item title is required'),
+  body('duration').optional().isInt({ min: 1, max: 120 }).withMessage('Duration must be 1-120 minutes'),
+  body('attachments').optional().isArray().withMessage('Attachments must be a list')
+], agendaProposalController.proposeAgendaItem);
+
+// @desc    Accept an agenda proposal
+// @route   POST /api/meetings/:id/agenda-proposals/:proposalId/accept
+// @access  Private/Chair
+router.post('/:id/agenda-proposals/:proposalId/accept', authMiddleware, agendaProposalController.acceptAgendaProposal);
+
+// @desc    Reject an agenda proposal
+// @route   POST /api/meetings/:id/agenda-proposals/:proposalId/reject
+// @access  Private/Chair
+router.post('/:id/agenda-proposals/:proposalId/reject', authMiddleware, agendaProposalController.rejectAgendaProposal);
+
+// @desc    Defer an agenda proposal to a later meeting
+// @route   POST /api/meetings/:id/agenda-proposals/:proposalId/defer
+// @access  Private/Chair
+router.post('/:id/agenda-proposals/:proposalId/defer', authMiddleware, agendaProposalController.deferAgendaProposal);
+
+// @desc    Get questions of a meeting
+// @route   GET /api/meetings/:id/questions
+// @access  Private
+router.get('/:id/questions', authMiddleware, questionController.getQuestions);
+
+// @desc    Ask a question
+// @route   POST /api/meetings/:id/questions
+// @access  Private
+router.post('/:id/questions', authMiddleware, [
+  body('question').isString().withMessage('Question must be text')
+], questionController.askQuestion);
+
+// @desc    Upvote a question
+// @route   POST /api/meetings/:id/questions/:questionId/upvote
+// @access  Private
+router.post('/:id/questions/:questionId/upvote', authMiddleware, questionController.upvoteQuestion);
+
+// @desc    Remove upvote from a question
+// @route   DELETE /api/meetings/:id/questions/:questionId/upvote
+// @access  Private
+router.delete('/:id/questions/:questionId/upvote', authMiddleware, questionController.removeUpvote);
+
+// @desc    Answer a question
+// @route   POST /api/meetings/:id/questions/:questionId/answer
+// @access  Private/Officers
+router.post('/:id/questions/:questionId/answer', authMiddleware, [
+  body('answer').isString().withMessage('Answer must be text')
+], questionController.answerQuestion);
+
+// @desc    Defer a question
+// @route   POST /api/meetings/:id/questions/:questionId/defer
+// @access  Private/Officers
+router.post('/:id/questions/:questionId/defer', authMiddleware, questionController.deferQuestion);
+
 module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+
+// @desc    Get notifications of the current user
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', authMiddleware, notificationController.getNotifications);
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', authMiddleware, notificationController.getUnreadCount);
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', authMiddleware, notificationController.markAllAsRead);
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put('/:id/read', authMiddleware, notificationController.markAsRead);
+
+module.exports = router;
@@ -0,0 +1,132 @@
+// Move chat data stored in an older shape to the current models. Each step
+// only picks up documents still in the old shape, so the script can be run
+// again after an interrupted run.
+//
+// Usage: npm run migrate:chat
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Chat, Message } = require('../models/Chat');
+const ChatReadState = require('../models/ChatReadState');
+
+// Replies used to be embedded in the message they answered, they are now
+// messages of their own pointing at it
+const migrateReplies = async () => {
+  const parents = await Message.collection.find({ 'replies.0': { $exists: true } }).toArray();
+
+  for (const parent of parents) {
+    const replies = parent.replies.filter(reply => reply.sender && reply.message);
+
+    if (replies.length > 0) {
+      await Message.insertMany(replies.map(reply => ({
+        _id: reply._id,
+        discussionId: parent.discussionId,
+        sender: reply.sender,
+        message: reply.message,
+        parentId: parent._id,
+        createdAt: reply.createdAt,
+        updatedAt: reply.createdAt
+      })));
+    }
+
+    await Message.collection.updateOne({ _id: parent._id }, { $unset: { replies: '' } });
+    await Message.refreshThread(parent._id);
+  }
+
+  return parents.length;
+};
+
+// Private discussions created before participant keys get theirs, unless
+// another conversation of the same members already holds it
+const backfillParticipantKeys = async () => {
+  const discussions = await Chat.find({ discussionType: 'private', participantKey: { $exists: false } });
+  let migrated = 0;
+
+  for (const discussion of discussions) {
+    const participantKey = Chat.getParticipantKey(discussion.participants);
+
+    try {
+      await Chat.updateOne({ _id: discussion._id }, { participantKey });
+      migrated++;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      console.warn(`⚠️ ${discussion.discussionId} duplicates another conversation of the same members, left without a key`);
+    }
+  }
+
+  return migrated;
+};
+
+// Read cursors replace the readBy lists of messages and the unread counters
+// of discussions. A member's cursor goes to the newest message they read, or
+// to the message before their unread ones when only a counter was kept.
+const seedReadStates = async () => {
+  let migrated = 0;
+
+  const lastRead = await Message.collection.aggregate([
+    { $match: { 'readBy.0': { $exists: true } } },
+    { $unwind: '$readBy' },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { user: '$readBy.user', discussionId: '$discussionId' },
+        message: { $first: '$_id' },
+        createdAt: { $first: '$createdAt' }
+      }
+    }
+  ]).toArray();
+
+  for (const { _id, message, createdAt } of lastRead) {
+    if (!_id.user) continue;
+    if (await ChatReadState.markRead(_id.user, { _id: message, discussionId: _id.discussionId, createdAt })) {
+      migrated++;
+    }
+  }
+
+  const discussions = await Chat.collection.find({ unreadCount: { $exists: true } }).toArray();
+
+  for (const discussion of discussions) {
+    for (const [userId, unread] of Object.entries(discussion.unreadCount || {})) {
+      if (!mongoose.isValidObjectId(userId)) continue;
+
+      const [message] = await Message.find({
+        discussionId: discussion.discussionId,
+        sender: { $ne: userId },
+        deleted: false,
+        hidden: { $ne: true }
+      })
+        .sort('-createdAt')
+        .skip(unread || 0)
+        .limit(1)
+        .select('discussionId createdAt');
+
+      if (message && await ChatReadState.markRead(userId, message)) migrated++;
+    }
+  }
+
+  await Message.collection.updateMany({ readBy: { $exists: true } }, { $unset: { readBy: '' } });
+  await Chat.collection.updateMany({ unreadCount: { $exists: true } }, { $unset: { unreadCount: '' } });
+
+  return migrated;
+};
+
+const STEPS = [
+  ['Thread replies', migrateReplies],
+  ['Private conversation keys', backfillParticipantKeys],
+  ['Read cursors', seedReadStates]
+];
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/sit_council');
+
+  for (const [name, step] of STEPS) {
+    const count = await step();
+    console.log(`✅ ${name}: ${count} migrated`);
+  }
+
+  await mongoose.disconnect();
+};
+
+migrate().catch(error => {
+  console.error('❌ Chat migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,152 @@
+const Meeting = require('../models/Meeting');
+const Performance = require('../models/Member');
+const Notification = require('../models/Notification');
+const { notify } = require('./notifications');
+
+// Statuses an action item can still become overdue from
+const OPEN_STATUSES = ['pending', 'in-progress'];
+
+// How long before a deadline the assignee is reminded
+const DEADLINE_REMINDER_HOURS = 24;
+
+// Open action items matching a deadline condition, with their meeting
+const findOpenActionItems = (deadline) => {
+  const match = { deadline, status: { $in: OPEN_STATUSES } };
+
+  return Meeting.aggregate([
+    { $match: { 'minutes.actionItems': { $elemMatch: match } } },
+    { $unwind: '$minutes.actionItems' },
+    {
+      $match: {
+        'minutes.actionItems.deadline': deadline,
+        'minutes.actionItems.status': match.status
+      }
+    },
+    {
+      $project: {
+        title: '$title',
+        item: '$minutes.actionItems'
+      }
+    }
+  ]);
+};
+
+// Tell assignees about action items given to them
+const notifyAssignees = async (meeting, items) => {
+  for (const item of items.filter(item => item.assignee)) {
+    await notify([item.assignee], {
+      type: 'action-item-assigned',
+      title: 'New action item',
+      message: `You have been assigned "${item.task}" from ${meeting.title}` +
+        (item.deadline ? `, due ${new Date(item.deadline).toLocaleDateString()}` : ''),
+      link: `/meeting/${meeting._id}`,
+      data: { meeting: meeting._id, actionItem: item._id }
+    });
+  }
+};
+
+// Remind assignees once about action items due within the reminder window
+const notifyUpcomingDeadlines = async (now = new Date()) => {
+  const dueBy = new Date(now.getTime() + DEADLINE_REMINDER_HOURS * 60 * 60 * 1000);
+  const due = await findOpenActionItems({ $gte: now, $lte: dueBy });
+
+  for (const { _id, title, item } of due) {
+    if (!item.assignee) continue;
+
+    const reminded = await Notification.exists({
+      recipient: item.assignee,
+      type: 'action-item-due',
+      'data.actionItem': item._id
+    });
+    if (reminded) continue;
+
+    await notify([item.assignee], {
+      type: 'action-item-due',
+      title: 'Action item due soon',
+      message: `"${item.task}" from ${title} is due ${new Date(item.deadline).toLocaleString()}`,
+      link: `/meeting/${_id}`,
+      data: { meeting: _id, actionItem: item._id }
+    });
+  }
+};
+
+// Mark open action items whose deadline has passed as overdue
+const markOverdueActionItems = async (now = new Date()) => {
+  const meetings = await Meeting.find({
+    'minutes.actionItems': {
+      $elemMatch: { deadline: { $lt: now }, status: { $in: OPEN_STATUSES } }
+    }
+  });
+
+  // Saved one by one so the change shows up in the version history
+  const affected = [];
+  for (const meeting of meetings) {
+    meeting.minutes.actionItems
+      .filter(item => item.deadline < now && OPEN_STATUSES.includes(item.status))
+      .forEach(item => {
+        item.status = 'overdue';
+        affected.push({ _id: meeting._id, title: meeting.title, item });
+      });
+    await meeting.save();
+  }
+
+  if (affected.length === 0) return [];
+
+  for (const { _id, title, item } of affected.filter(a => a.item.assignee)) {
+    await notify([item.assignee], {
+      type: 'action-item-overdue',
+      title: 'Action item overdue',
+      message: `"${item.task}" from ${title} was due ${new Date(item.deadline).toLocaleDateString()}`,
+      link: `/meeting/${_id}`,
+      data: { meeting: _id, actionItem: item._id }
+    });
+  }
+
+  const assignees = [...new Set(affected.map(a => a.item.assignee?.toString()).filter(Boolean))];
+  await syncPerformanceTasks(assignees);
+  return assignees;
+};
+
+// Rebuild Performance.tasks and task metrics of members from their action items
+const syncPerformanceTasks = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+
+  for (const userId of ids) {
+    const meetings = await Meeting.find({ 'minutes.actionItems.assignee': userId })
+      .select('minutes.actionItems');
+
+    const tasks = [];
+    meetings.forEach(meeting => {
+      meeting.minutes.actionItems
+        .filter(item => item.assignee && item.assignee.toString() === userId && item.status !== 'cancelled')
+        .forEach(item => {
+          tasks.push({
+            taskId: item._id.toString(),
+            description: item.task,
+            assignedFrom: meeting._id,
+            deadline: item.deadline,
+            completedAt: item.completionDate,
+            status: item.status,
+            priority: item.priority,
+            notes: item.notes
+          });
+        });
+    });
+
+    const performance = await Performance.findOne({ user: userId }) ||
+      new Performance({ user: userId });
+
+    performance.tasks = tasks;
+    performance.metrics.totalTasks = tasks.length;
+    performance.metrics.tasksCompleted = tasks.filter(task => task.status === 'completed').length;
+    await performance.save();
+  }
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  markOverdueActionItems,
+  notifyUpcomingDeadlines,
+  notifyAssignees,
+  syncPerformanceTasks
+};
@@ -0,0 +1,35 @@
+// Access rules of chat discussions shared by the chat, poll and moderation
+// controllers
+
+const isPrivate = (discussion) => discussion.discussionType === 'private';
+
+// Check if user can read and post in a discussion
+const isMember = (discussion, userId) => {
+  return discussion.participants.some(p => p.toString() === userId.toString()) ||
+    discussion.createdBy.toString() === userId.toString();
+};
+
+const isAdmin = (discussion, userId) => {
+  return discussion.admins.some(id => id.toString() === userId.toString());
+};
+
+// Check if user may post or react in a discussion right now, returns why not
+const getPostingRestriction = (discussion, userId) => {
+  if (discussion.locked && !isAdmin(discussion, userId)) {
+    return 'This discussion is locked and read-only';
+  }
+
+  const mute = discussion.getActiveMute(userId);
+  if (mute) {
+    return `You are muted in this discussion until ${mute.until.toISOString()}`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  isPrivate,
+  isMember,
+  isAdmin,
+  getPostingRestriction
+};
@@ -0,0 +1,71 @@
+// Top-level meeting fields compared by the version diff, grouped by section
+const DIFF_SECTIONS = {
+  details: ['title', 'type', 'date', 'startTime', 'endTime', 'venue', 'chairperson', 'minutesTaker', 'objective', 'status'],
+  agenda: ['agenda'],
+  attendees: ['attendees'],
+  minutes: ['minutes']
+};
+
+// Turn ObjectIds and Dates into plain JSON values
+const normalize = (value) => {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Missing or array of subdocuments that can be matched by _id
+const isSubdocList = (list) => {
+  return list === undefined || (Array.isArray(list) && list.every(item => isObject(item) && item._id));
+};
+
+// Collect field-level changes between two values
+const diffValues = (before, after, path, changes) => {
+  if (isEqual(before, after)) return;
+
+  if (isSubdocList(before) && isSubdocList(after) && (before || after)) {
+    const beforeById = new Map((before || []).map(item => [item._id, item]));
+    const afterById = new Map((after || []).map(item => [item._id, item]));
+
+    beforeById.forEach((item, id) => {
+      if (!afterById.has(id)) changes.push({ path: `${path}[${id}]`, type: 'removed', from: item });
+    });
+    afterById.forEach((item, id) => {
+      if (!beforeById.has(id)) {
+        changes.push({ path: `${path}[${id}]`, type: 'added', to: item });
+      } else {
+        diffValues(beforeById.get(id), item, `${path}[${id}]`, changes);
+      }
+    });
+    return;
+  }
+
+  if (isObject(before) && isObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(key => {
+      diffValues(before[key], after[key], `${path}.${key}`, changes);
+    });
+    return;
+  }
+
+  changes.push({ path, type: 'changed', from: before, to: after });
+};
+
+// Field-level diff of two meeting snapshots, grouped by section
+const diffMeetings = (before, after) => {
+  const from = normalize(before) || {};
+  const to = normalize(after) || {};
+
+  return Object.entries(DIFF_SECTIONS).reduce((sections, [section, fields]) => {
+    const changes = [];
+    fields.forEach(field => diffValues(from[field], to[field], field, changes));
+    sections[section] = changes;
+    return sections;
+  }, {});
+};
+
+module.exports = {
+  DIFF_SECTIONS,
+  diffMeetings
+};
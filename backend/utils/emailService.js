@@ -1,6 +1,7 @@
 const nodemailer = require('nodemailer');
 const fs = require('fs');
 const path = require('path');
+const { buildMeetingInvite } = require('./icalendar');
 
 // Create transporter
 const transporter = nodemailer.createTransport({
@@ -22,9 +23,22 @@ transporter.verify((error, success) => {
   }
 });
 
-// Send meeting invitation
+// Get address part of EMAIL_FROM ("Name <address>" or plain address)
+const getSenderAddress = () => {
+  const from = process.env.EMAIL_FROM || process.env.EMAIL_USER || '';
+  const match = from.match(/<([^>]+)>/);
+  return match ? match[1] : from;
+};
+
+// Send meeting invitation (or cancellation when the meeting is cancelled)
 const sendMeetingInvitation = async (meeting, attendees) => {
   try {
+    const invite = buildMeetingInvite(meeting, attendees, {
+      name: meeting.chairperson?.name || 'SIT Student Council',
+      email: getSenderAddress()
+    });
+    const isCancellation = invite.method === 'CANCEL';
+
     const htmlContent = `
       <!DOCTYPE html>
       <html>
@@ -46,7 +60,7 @@ const sendMeetingInvitation = async (meeting, attendees) => {
         <div class="container">
           <div class="header">
             <h1>📅 SIT Student Council Meeting</h1>
-            <p>Official Meeting Invitation</p>
+            <p>${isCancellation ? 'Meeting Cancellation' : 'Official Meeting Invitation'}</p>
           </div>
           <div class="content">
             <h2>${meeting.title}</h2>
@@ -58,7 +72,9 @@ const sendMeetingInvitation = async (meeting, attendees) => {
               <p><strong>📝 Type:</strong> ${meeting.type}</p>
             </div>
             <p><strong>Objective:</strong> ${meeting.objective || 'No objective specified'}</p>
-            <p>Please make sure to attend the meeting on time. Your presence is important.</p>
+            <p>${isCancellation
+              ? 'This meeting has been cancelled. Please remove it from your calendar.'
+              : 'Please make sure to attend the meeting on time. Your presence is important.'}</p>
             <a href="${process.env.FRONTEND_URL}/meeting/${meeting._id}" class="btn">
               View Meeting Details
             </a>
@@ -74,12 +90,17 @@ const sendMeetingInvitation = async (meeting, attendees) => {
     const mailOptions = {
       from: process.env.EMAIL_FROM,
       to: attendees.map(a => a.email).join(', '),
-      subject: `Meeting Invitation: ${meeting.title}`,
-      html: htmlContent
+      subject: `${isCancellation ? 'Meeting Cancelled' : 'Meeting Invitation'}: ${meeting.title}`,
+      html: htmlContent,
+      icalEvent: {
+        filename: `${meeting.meetingId || 'meeting'}.ics`,
+        method: invite.method,
+        content: invite.content
+      }
     };
 
     await transporter.sendMail(mailOptions);
-    console.log(`Meeting invitation sent to ${attendees.length} attendees`);
+    console.log(`Meeting ${isCancellation ? 'cancellation' : 'invitation'} sent to ${attendees.length} attendees`);
     
     return true;
   } catch (error) {
@@ -91,6 +112,12 @@ const sendMeetingInvitation = async (meeting, attendees) => {
 // Send meeting minutes
 const sendMeetingMinutes = async (meeting, attendees) => {
   try {
+    // Draft minutes are never sent out
+    if (!['approved', 'adopted'].includes(meeting.minutesApproval?.status)) {
+      console.error(`Meeting minutes of ${meeting.meetingId} are not approved, not sending`);
+      return false;
+    }
+
     const htmlContent = `
       <!DOCTYPE html>
       <html>
@@ -119,7 +146,7 @@ const sendMeetingMinutes = async (meeting, attendees) => {
               ${meeting.minutes?.decisions?.length > 0 ? `
                 <h3>Decisions Made:</h3>
                 <ul>
-                  ${meeting.minutes.decisions.map(decision => `<li>${decision}</li>`).join('')}
+                  ${meeting.minutes.decisions.map(decision => `<li>${decision.decision || decision}</li>`).join('')}
                 </ul>
               ` : ''}
               
@@ -285,9 +312,61 @@ const sendWelcomeEmail = async (user, tempPassword) => {
   }
 };
 
+// Send a notification from the notification center by email
+const sendNotificationEmail = async (user, notification) => {
+  try {
+    const url = notification.link ? `${process.env.FRONTEND_URL || ''}${notification.link}` : null;
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #0066CC; color: white; padding: 20px; text-align: center; border-radius: 10px; }
+          .content { background: #f9f9f9; padding: 30px; margin-top: 20px; border-radius: 10px; }
+          .btn { display: inline-block; background: #0066CC; color: white; 
+                padding: 12px 30px; text-decoration: none; border-radius: 5px; 
+                font-weight: bold; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${notification.title}</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${user.name},</h2>
+            <p>${notification.message || ''}</p>
+            ${url ? `<a href="${url}" class="btn">Open in Council Portal</a>` : ''}
+            <p style="margin-top: 30px; font-size: 12px; color: #666;">
+              You can turn off these emails in your notification preferences.
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM,
+      to: user.email,
+      subject: `SIT Council - ${notification.title}`,
+      html: htmlContent
+    });
+
+    return true;
+  } catch (error) {
+    console.error('Error sending notification email:', error);
+    return false;
+  }
+};
+
 module.exports = {
   sendMeetingInvitation,
   sendMeetingMinutes,
   sendPasswordResetEmail,
-  sendWelcomeEmail
+  sendWelcomeEmail,
+  sendNotificationEmail
 };
@@ -0,0 +1,60 @@
+const path = require('path');
+
+// File types accepted for meeting documents
+const DOCUMENT_TYPES = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  xls: 'application/vnd.ms-excel',
+  ppt: 'application/vnd.ms-powerpoint',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  txt: 'text/plain',
+  csv: 'text/csv'
+};
+
+// Container formats share a signature, the extension tells them apart
+const ZIP_TYPES = ['docx', 'xlsx', 'pptx'];
+const OLE_TYPES = ['doc', 'xls', 'ppt'];
+const TEXT_TYPES = ['txt', 'csv'];
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  return buffer.length >= offset + bytes.length &&
+    bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+// Detect the real type of a file from its first bytes
+// Returns { ext, mime } or null when the content is not an accepted type
+const sniffFileType = (buffer, originalName = '') => {
+  const ext = path.extname(originalName).slice(1).toLowerCase();
+  let detected = null;
+
+  if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46])) {
+    detected = 'pdf';
+  } else if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+    detected = 'png';
+  } else if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) {
+    detected = 'jpg';
+  } else if (startsWith(buffer, [0x47, 0x49, 0x46, 0x38])) {
+    detected = 'gif';
+  } else if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) {
+    detected = 'webp';
+  } else if (startsWith(buffer, [0x50, 0x4B, 0x03, 0x04])) {
+    detected = ZIP_TYPES.includes(ext) ? ext : null;
+  } else if (startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) {
+    detected = OLE_TYPES.includes(ext) ? ext : null;
+  } else if (TEXT_TYPES.includes(ext) && !buffer.subarray(0, 8000).includes(0)) {
+    detected = ext;
+  }
+
+  return detected ? { ext: detected, mime: DOCUMENT_TYPES[detected] } : null;
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  sniffFileType
+};
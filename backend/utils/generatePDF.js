@@ -149,6 +149,13 @@ const generateMeetingMinutesPDF = async (meeting, attendees) => {
              .font('Helvetica')
              .text(`Presenter: ${item.presenter} | Duration: ${item.duration} mins | Status: ${item.status}`);
           
+          // Actual time taken when the meeting was run live
+          if (item.actualDuration !== undefined && item.actualDuration !== null) {
+            doc.fillColor(item.overrun > 0 ? '#CC0000' : '#666666')
+               .fontSize(9)
+               .text(`Actual: ${item.actualDuration} mins` + (item.overrun > 0 ? ` | Overran by ${item.overrun} mins` : ''));
+          }
+          
           if (item.description) {
             doc.fillColor('#000000')
                .fontSize(10)
@@ -159,6 +166,35 @@ const generateMeetingMinutesPDF = async (meeting, attendees) => {
         });
       }
 
+      // Timing summary of a meeting that was run live
+      if (meeting.timing?.endedAt) {
+        doc.moveDown(1);
+        doc.fillColor('#000000')
+           .fontSize(14)
+           .font('Helvetica-Bold')
+           .text('MEETING TIMING', { underline: true });
+        
+        doc.moveDown(0.5);
+        doc.fontSize(11)
+           .font('Helvetica');
+        
+        const timing = [
+          ['Started:', moment(meeting.timing.startedAt).format('HH:mm')],
+          ['Ended:', moment(meeting.timing.endedAt).format('HH:mm')],
+          ['Scheduled:', `${meeting.timing.scheduledDuration || 0} mins`],
+          ['Planned Agenda:', `${meeting.timing.plannedDuration || 0} mins`],
+          ['Actual:', `${meeting.timing.actualDuration || 0} mins`],
+          ['Overrun:', `${meeting.timing.overrun || 0} mins`],
+          ['Items Covered:', `${meeting.timing.itemsCompleted || 0} completed, ${meeting.timing.itemsPostponed || 0} postponed`]
+        ];
+        
+        timing.forEach(([label, value]) => {
+          doc.text(label, 50, doc.y);
+          doc.text(value, 200, doc.y);
+          doc.moveDown(0.5);
+        });
+      }
+
       // Decisions
       if (meeting.minutes?.decisions && meeting.minutes.decisions.length > 0) {
         doc.addPage();
@@ -173,7 +209,23 @@ const generateMeetingMinutesPDF = async (meeting, attendees) => {
           doc.fillColor('#000000')
              .fontSize(11)
              .font('Helvetica')
-             .text(`${index + 1}. ${decision}`);
+             .text(`${index + 1}. ${decision.decision || decision}`);
+          
+          // Voting results
+          if (decision.voting && decision.voting.inFavor !== undefined) {
+            doc.fillColor('#666666')
+               .fontSize(9)
+               .text(`In favor: ${decision.voting.inFavor} | Against: ${decision.voting.against} | Abstained: ${decision.voting.abstained}` +
+                     (decision.votingMethod ? ` | ${decision.votingMethod === 'secret' ? 'Secret ballot' : 'Roll-call vote'}` : ''));
+          }
+          
+          // Roll-call ballots
+          if (decision.ballots && decision.ballots.length > 0) {
+            doc.fillColor('#666666')
+               .fontSize(9)
+               .text(decision.ballots.map(ballot => `${ballot.name || 'Member'}: ${ballot.vote}`).join(', '));
+          }
+          
           doc.moveDown(0.3);
         });
       }
@@ -263,6 +315,32 @@ const generateMeetingMinutesPDF = async (meeting, attendees) => {
         });
       }
 
+      // Amendments recorded when the minutes were adopted
+      if (meeting.minutesApproval?.amendments?.length > 0) {
+        doc.moveDown(1);
+        doc.fillColor('#000000')
+           .fontSize(14)
+           .font('Helvetica-Bold')
+           .text('AMENDMENTS ON ADOPTION', { underline: true });
+        
+        doc.moveDown(0.5);
+        
+        meeting.minutesApproval.amendments.forEach((amendment, index) => {
+          doc.fillColor('#000000')
+             .fontSize(11)
+             .font('Helvetica')
+             .text(`${index + 1}. ${amendment.section ? `[${amendment.section}] ` : ''}${amendment.amended}`);
+          
+          if (amendment.original) {
+            doc.fillColor('#666666')
+               .fontSize(9)
+               .text(`Originally: ${amendment.original}`);
+          }
+          
+          doc.moveDown(0.3);
+        });
+      }
+
       // Signatures
       doc.addPage();
       doc.fillColor('#000000')
@@ -303,6 +381,37 @@ const generateMeetingMinutesPDF = async (meeting, attendees) => {
       doc.text(meeting.chairperson || 'President', 350, doc.y - 110, { width: 200, align: 'center' });
       doc.text('SIT Student Council', 350, doc.y - 100, { width: 200, align: 'center' });
 
+      // Appendix: answered questions
+      const answeredQuestions = (meeting.questions || []).filter(question => question.status === 'answered');
+      if (answeredQuestions.length > 0) {
+        doc.addPage();
+        doc.fillColor('#000000')
+           .fontSize(14)
+           .font('Helvetica-Bold')
+           .text('APPENDIX: QUESTIONS AND ANSWERS', 50, doc.y, { underline: true });
+        
+        doc.moveDown(0.5);
+        
+        answeredQuestions.forEach((question, index) => {
+          doc.fillColor('#0066CC')
+             .fontSize(11)
+             .font('Helvetica-Bold')
+             .text(`Q${index + 1}. ${question.question}`);
+          
+          doc.fillColor('#666666')
+             .fontSize(9)
+             .font('Helvetica')
+             .text(`Asked by: ${question.askedBy || 'Member'}` +
+                   (question.upvotes?.length ? ` | Upvotes: ${question.upvotes.length}` : ''));
+          
+          doc.fillColor('#000000')
+             .fontSize(10)
+             .text(`A: ${question.answer}`);
+          
+          doc.moveDown(0.5);
+        });
+      }
+
       // Footer
       doc.page.margins.bottom = 50;
       const bottom = doc.page.height - doc.page.margins.bottom;
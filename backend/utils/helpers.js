@@ -111,6 +111,33 @@ const sanitizeInput = (input) => {
     .trim();
 };
 
+// Content-Disposition header for a file name (RFC 6266): an ASCII fallback
+// for old clients and the exact name as UTF-8 in filename*
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+  const encoded = encodeURIComponent(filename)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Largest page a paginated list returns
+const MAX_PAGE_SIZE = 100;
+
+// Parse page and limit of a paginated list, null when either is not a
+// positive integer. Larger limits are capped at MAX_PAGE_SIZE.
+const parsePagination = ({ page = 1, limit }, defaultLimit = 20) => {
+  const pageNumber = Number(page);
+  const pageSize = Number(limit ?? defaultLimit);
+
+  if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageSize) || pageSize < 1) {
+    return null;
+  }
+
+  const size = Math.min(pageSize, MAX_PAGE_SIZE);
+  return { page: pageNumber, limit: size, skip: (pageNumber - 1) * size };
+};
+
 // Parse query parameters
 const parseQueryParams = (query) => {
   const page = parseInt(query.page) || 1;
@@ -137,5 +164,7 @@ module.exports = {
   generateRandomPassword,
   calculatePerformanceScore,
   sanitizeInput,
+  contentDisposition,
+  parsePagination,
   parseQueryParams
 };
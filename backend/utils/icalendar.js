@@ -0,0 +1,161 @@
+// Timezone meeting times are expressed in (meetings store local HH:mm)
+const TIMEZONE = process.env.TIMEZONE || 'Africa/Addis_Ababa';
+
+const PRODUCT_ID = '-//SIT Student Council//SBC Portal//EN';
+
+// Escape text values (RFC 5545 section 3.3.11)
+const escapeText = (value = '') => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Fold lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Format UTC timestamp as YYYYMMDDTHHMMSSZ
+const formatTimestamp = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+};
+
+// Offset of TIMEZONE from UTC in milliseconds at an instant
+const getZoneOffset = (instant) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+
+  const local = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return local - instant.getTime();
+};
+
+// Convert meeting date + local HH:mm in TIMEZONE to a UTC instant. Events are
+// written in UTC so clients need no VTIMEZONE definition to place them.
+const toUTCDateTime = (date, time) => {
+  const [year, month, day] = new Date(date).toISOString().split('T')[0].split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Second pass picks up a different offset across a daylight saving change
+  const guess = wallClock - getZoneOffset(new Date(wallClock));
+  return new Date(wallClock - getZoneOffset(new Date(guess)));
+};
+
+// Unique and stable identifier of a meeting across invites and feeds
+const getMeetingUid = (meeting) => {
+  return `${meeting._id}@sit-sbc`;
+};
+
+// Build VEVENT lines for a meeting
+const buildEvent = (meeting, { method, attendees = [], organizer } = {}) => {
+  const cancelled = method === 'CANCEL' || meeting.status === 'cancelled';
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getMeetingUid(meeting)}`,
+    `SEQUENCE:${meeting.sequence || 0}`,
+    `DTSTAMP:${formatTimestamp(new Date())}`,
+    `LAST-MODIFIED:${formatTimestamp(meeting.updatedAt || new Date())}`,
+    `DTSTART:${formatTimestamp(toUTCDateTime(meeting.date, meeting.startTime))}`,
+    `DTEND:${formatTimestamp(toUTCDateTime(meeting.date, meeting.endTime))}`,
+    `SUMMARY:${escapeText(meeting.title)}`,
+    `LOCATION:${escapeText(meeting.venue)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (meeting.objective) {
+    lines.push(`DESCRIPTION:${escapeText(meeting.objective)}`);
+  }
+
+  if (meeting.type) {
+    lines.push(`CATEGORIES:${escapeText(meeting.type)}`);
+  }
+
+  if (meeting.meetingId) {
+    lines.push(`X-SBC-MEETING-ID:${meeting.meetingId}`);
+  }
+
+  if (process.env.FRONTEND_URL) {
+    lines.push(`URL:${process.env.FRONTEND_URL}/meeting/${meeting._id}`);
+  }
+
+  if (organizer && organizer.email) {
+    lines.push(`ORGANIZER;CN=${escapeText(organizer.name || 'SIT Student Council')}:mailto:${organizer.email}`);
+  }
+
+  attendees.forEach(attendee => {
+    lines.push(
+      `ATTENDEE;CN=${escapeText(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT;` +
+      `PARTSTAT=NEEDS-ACTION;RSVP=${method === 'REQUEST' ? 'TRUE' : 'FALSE'}:mailto:${attendee.email}`
+    );
+  });
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Build a complete iCalendar document
+const buildCalendar = (meetings, { method = 'PUBLISH', name, attendees, organizer } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    lines.push(`X-WR-TIMEZONE:${TIMEZONE}`);
+  }
+
+  meetings.forEach(meeting => {
+    lines.push(...buildEvent(meeting, { method, attendees, organizer }));
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Build invitation (REQUEST) or cancellation (CANCEL) for a single meeting
+const buildMeetingInvite = (meeting, attendees, organizer) => {
+  const method = meeting.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+  return {
+    method,
+    content: buildCalendar([meeting], { method, attendees, organizer })
+  };
+};
+
+module.exports = {
+  TIMEZONE,
+  buildCalendar,
+  buildMeetingInvite,
+  getMeetingUid,
+  toUTCDateTime
+};
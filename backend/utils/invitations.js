@@ -0,0 +1,50 @@
+const { sendMeetingInvitation } = require('./emailService');
+const { notify, wantsEmail } = require('./notifications');
+
+// Fields the invitees of a meeting need to be populated with
+const INVITEE_FIELDS = 'name email preferences';
+
+// Send the invitation of a meeting, or its cancellation once the meeting is
+// cancelled, to the attendees and the chairperson. Everyone gets an in-app
+// notification, the email carries the calendar invite.
+const sendInvitations = async (meeting) => {
+  await meeting.populate([
+    { path: 'chairperson', select: INVITEE_FIELDS },
+    { path: 'attendees.user', select: INVITEE_FIELDS }
+  ]);
+
+  const invitees = meeting.attendees.map(attendee => attendee.user).filter(Boolean);
+
+  // Add chairperson if not in attendees
+  if (meeting.chairperson && !invitees.find(user => user._id.equals(meeting.chairperson._id))) {
+    invitees.push(meeting.chairperson);
+  }
+
+  const isCancelled = meeting.status === 'cancelled';
+  await notify(invitees.map(user => user._id), {
+    type: 'meeting-invite',
+    title: `${isCancelled ? 'Meeting cancelled' : 'Meeting invitation'}: ${meeting.title}`,
+    message: `${new Date(meeting.date).toLocaleDateString()} ${meeting.startTime} - ${meeting.endTime} at ${meeting.venue}`,
+    link: `/meeting/${meeting._id}`,
+    data: { meeting: meeting._id }
+  }, { email: false });
+
+  const attendees = invitees
+    .filter(user => wantsEmail(user, 'meeting-invite'))
+    .map(user => ({
+      name: user.name,
+      email: user.email
+    }));
+
+  const emailSent = attendees.length === 0 || await sendMeetingInvitation(meeting, attendees);
+
+  return {
+    invited: invitees.length,
+    emailed: attendees.length,
+    emailSent
+  };
+};
+
+module.exports = {
+  sendInvitations
+};
@@ -0,0 +1,45 @@
+// Mentions are matched against the members of the discussion only, so a
+// message can never notify someone who cannot read it.
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Check if text contains @label as a whole word
+const hasMention = (text, label) => {
+  const pattern = new RegExp(`(^|[^\\w@])@${escapeRegExp(label).replace(/ /g, '\\s?')}(?![\\w])`, 'i');
+  return pattern.test(text);
+};
+
+// Find the members mentioned by @name, @first-name, @role or @everyone
+const findMentions = (text, members) => {
+  if (!text || !text.includes('@')) return { users: [], everyone: false, roles: [] };
+
+  const everyone = hasMention(text, 'everyone');
+
+  // First names only count when no other member shares them
+  const firstNames = {};
+  members.forEach(member => {
+    const first = member.name.split(' ')[0].toLowerCase();
+    firstNames[first] = (firstNames[first] || 0) + 1;
+  });
+
+  const roles = [...new Set(members.map(member => member.role))]
+    .filter(role => role && hasMention(text, role));
+
+  const users = members.filter(member => {
+    const first = member.name.split(' ')[0];
+    return everyone ||
+      roles.includes(member.role) ||
+      hasMention(text, member.name) ||
+      (firstNames[first.toLowerCase()] === 1 && hasMention(text, first));
+  });
+
+  return {
+    users: users.map(member => member._id),
+    everyone,
+    roles
+  };
+};
+
+module.exports = {
+  findMentions
+};
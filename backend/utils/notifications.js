@@ -0,0 +1,78 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { emitToUsers, isOnline } = require('./socket');
+const { sendNotificationEmail } = require('./emailService');
+
+// How each event type is delivered: the preferences.notifications flag that
+// turns it off, and whether it may also go out by email ('offline' = only
+// when the user has no open socket)
+const EVENT_ROUTES = {
+  'meeting-invite': { preference: 'meeting', email: true },
+  'meeting-reminder': { preference: 'meeting', email: true },
+  'minutes-published': { preference: 'meeting', email: true },
+  'action-item-assigned': { preference: 'meeting', email: true },
+  'action-item-due': { preference: 'meeting', email: true },
+  'action-item-overdue': { preference: 'meeting', email: true },
+  'chat-mention': { preference: 'chat', email: 'offline' },
+  'chat-announcement': { preference: 'chat', email: true },
+  'chat-thread-reply': { preference: 'chat', email: 'offline' },
+  'award': { preference: null, email: true }
+};
+
+// Check if user wants to hear about an event type at all
+const wantsNotification = (user, type) => {
+  const { preference } = EVENT_ROUTES[type];
+  return !preference || user.preferences?.notifications?.[preference] !== false;
+};
+
+// Check if an event type should reach user by email
+const wantsEmail = (user, type) => {
+  const route = EVENT_ROUTES[type];
+
+  if (!route.email || !wantsNotification(user, type)) return false;
+  if (user.preferences?.notifications?.email === false) return false;
+
+  return route.email !== 'offline' || !isOnline(user._id);
+};
+
+// Store, push and email a notification to users according to their preferences.
+// Pass { email: false } when the caller sends its own email for the event.
+const notify = async (userIds, { type, title, message, link, data = {} }, { email = true } = {}) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+  if (ids.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: ids }, status: 'active' })
+    .select('name email preferences');
+  const recipients = users.filter(user => wantsNotification(user, type));
+
+  if (recipients.length === 0) return [];
+
+  const notifications = await Notification.insertMany(recipients.map(user => ({
+    recipient: user._id,
+    type,
+    title,
+    message,
+    link,
+    data,
+    channels: {
+      inApp: true,
+      email: wantsEmail(user, type)
+    }
+  })));
+
+  notifications.forEach(notification => {
+    emitToUsers([notification.recipient], 'notification', { notification });
+  });
+
+  if (email) {
+    await Promise.all(recipients
+      .map((user, index) => notifications[index].channels.email && sendNotificationEmail(user, notifications[index])));
+  }
+
+  return notifications;
+};
+
+module.exports = {
+  notify,
+  wantsEmail
+};
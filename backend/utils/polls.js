@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const { Chat, Message } = require('../models/Chat');
+const { emitToDiscussion } = require('./socket');
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+
+// Longest result line, the limit of a message
+const MAX_RESULT_LENGTH = 2000;
+
+const shorten = (text, length) => {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+};
+
+// Check the poll of a new message, returns { poll } or { error }
+const buildPoll = (input, now = new Date()) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Poll options are required' };
+  }
+
+  const texts = (Array.isArray(input.options) ? input.options : [])
+    .map(option => String((typeof option === 'object' ? option?.text : option) ?? '').trim())
+    .filter(Boolean);
+
+  if (texts.length < MIN_POLL_OPTIONS || texts.length > MAX_POLL_OPTIONS) {
+    return { error: `A poll needs ${MIN_POLL_OPTIONS} to ${MAX_POLL_OPTIONS} options` };
+  }
+
+  if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+    return { error: 'Poll options must be different' };
+  }
+
+  const closesAt = input.closesAt ? new Date(input.closesAt) : undefined;
+  if (closesAt && (isNaN(closesAt) || closesAt <= now)) {
+    return { error: 'Poll closing time must be in the future' };
+  }
+
+  return {
+    poll: {
+      options: texts.map(text => ({ text })),
+      multipleChoice: Boolean(input.multipleChoice),
+      anonymous: Boolean(input.anonymous),
+      closesAt
+    }
+  };
+};
+
+// Describe the final result of a poll in one line
+const describeResult = (message) => {
+  const { options, totalVoters } = message.poll.getResults();
+  const question = shorten(message.message, 200);
+  const top = Math.max(...options.map(option => option.votes));
+  const winners = options.filter(option => option.votes === top).map(option => option.text);
+
+  const tally = options
+    .map(option => `${option.text}: ${option.votes}`)
+    .join(', ');
+
+  if (totalVoters === 0) {
+    return `Poll "${question}" closed with no votes`;
+  }
+
+  return shorten(`Poll "${question}" closed with ${totalVoters} voter${totalVoters === 1 ? '' : 's'} (${tally}). ` +
+    (winners.length === 1 ? `Most votes: ${winners[0]}` : `Tied: ${winners.join(', ')}`), MAX_RESULT_LENGTH);
+};
+
+// Close a poll and record its result as a system message. Resolves to null
+// when the poll was already closed, so the result is only posted once.
+const closePoll = async (discussion, message, closedBy = message.sender) => {
+  const closed = await Message.findOneAndUpdate(
+    { _id: message._id, type: 'poll', 'poll.closed': false },
+    {
+      'poll.closed': true,
+      'poll.closedAt': new Date(),
+      'poll.closedBy': closedBy
+    },
+    { new: true }
+  );
+  if (!closed) return null;
+
+  const resultMessage = await Message.create({
+    discussionId: discussion.discussionId,
+    sender: closedBy,
+    message: describeResult(closed),
+    type: 'system'
+  });
+
+  closed.poll.resultMessage = resultMessage._id;
+  await closed.save();
+
+  emitToDiscussion(discussion, 'poll:closed', {
+    discussionId: discussion.discussionId,
+    messageId: closed._id,
+    poll: closed.poll,
+    resultMessage: resultMessage._id
+  });
+  emitToDiscussion(discussion, 'message:new', {
+    discussionId: discussion.discussionId,
+    message: resultMessage
+  });
+
+  return closed;
+};
+
+// Check if a poll still takes votes, its closing time may have passed before
+// the scheduler got to close it
+const isPollOpen = (poll, now = new Date()) => {
+  return !poll.closed && !(poll.closesAt && poll.closesAt <= now);
+};
+
+// Close every poll whose closing time has passed, run by the scheduler
+const closeDuePolls = async (now = new Date()) => {
+  const due = await Message.find({
+    type: 'poll',
+    deleted: false,
+    'poll.closed': false,
+    'poll.closesAt': { $lte: now }
+  });
+
+  for (const message of due) {
+    const discussion = await Chat.findOne({ discussionId: message.discussionId });
+    if (discussion) await closePoll(discussion, message);
+  }
+};
+
+// Replace the vote of a user in a single update, so concurrent votes of the
+// same user never leave two. Resolves to the updated message or null when
+// the poll closed in the meantime.
+const castVote = (message, userId, optionIds, now = new Date()) => {
+  const user = new mongoose.Types.ObjectId(userId);
+  const vote = optionIds.length > 0
+    ? [{ user, options: optionIds.map(id => new mongoose.Types.ObjectId(id)), votedAt: now }]
+    : [];
+
+  return Message.findOneAndUpdate(
+    {
+      _id: message._id,
+      'poll.closed': false,
+      $or: [{ 'poll.closesAt': null }, { 'poll.closesAt': { $gt: now } }]
+    },
+    [{
+      $set: {
+        'poll.votes': {
+          $concatArrays: [
+            {
+              $filter: {
+                input: { $ifNull: ['$poll.votes', []] },
+                cond: { $ne: ['$$this.user', user] }
+              }
+            },
+            { $literal: vote }
+          ]
+        }
+      }
+    }],
+    { new: true }
+  );
+};
+
+module.exports = {
+  buildPoll,
+  castVote,
+  closeDuePolls,
+  closePoll,
+  isPollOpen
+};
@@ -0,0 +1,106 @@
+const User = require('../models/User');
+const QuorumRule = require('../models/QuorumRule');
+
+// Council roles counted as officers
+const OFFICER_ROLES = ['President', 'Vice President', 'Secretary', 'Treasurer', 'PRO', 'Coordinator'];
+
+// Rules used when no rule has been configured for a meeting type
+const DEFAULT_RULES = {
+  regular: {
+    basis: 'council',
+    method: 'majority',
+    countLate: true,
+    description: '50% + 1 of the active council'
+  },
+  special: {
+    basis: 'council',
+    method: 'percentage',
+    percentage: 67,
+    countLate: true,
+    description: 'Two thirds of the active council'
+  },
+  committee: {
+    basis: 'invited',
+    method: 'majority',
+    countLate: true,
+    description: '50% + 1 of the invited committee members'
+  },
+  random: {
+    basis: 'officers',
+    method: 'fixed',
+    fixedCount: 3,
+    countLate: true,
+    description: 'At least 3 council officers'
+  }
+};
+
+// Get configured rule for a meeting type, falling back to the defaults
+const getQuorumRule = async (meetingType = 'regular') => {
+  const rule = await QuorumRule.findOne({ meetingType }).lean();
+  return rule || { meetingType, ...(DEFAULT_RULES[meetingType] || DEFAULT_RULES.regular) };
+};
+
+// Calculate required number of members from rule and basis size
+const getRequiredCount = (rule, base) => {
+  switch (rule.method) {
+    case 'percentage':
+      return Math.ceil(base * rule.percentage / 100);
+    case 'fixed':
+      return rule.fixedCount;
+    default:
+      return Math.floor(base / 2) + 1;
+  }
+};
+
+// Calculate quorum of a meeting from attendees[].status
+const calculateQuorum = async (meeting) => {
+  const rule = await getQuorumRule(meeting.type);
+  const presentStatuses = rule.countLate ? ['present', 'late'] : ['present'];
+
+  // Attendees may or may not be populated
+  const presentIds = meeting.attendees
+    .filter(a => a.user && presentStatuses.includes(a.status))
+    .map(a => (a.user._id || a.user).toString());
+
+  let base;
+  let present;
+
+  if (rule.basis === 'invited') {
+    base = meeting.attendees.length;
+    present = presentIds.length;
+  } else {
+    const query = { status: 'active', isController: { $ne: true }, role: { $ne: 'Controller' } };
+    if (rule.basis === 'officers') query.role = { $in: OFFICER_ROLES };
+
+    const members = await User.find(query).select('_id');
+    const memberIds = new Set(members.map(m => m._id.toString()));
+
+    base = members.length;
+    present = presentIds.filter(id => memberIds.has(id)).length;
+  }
+
+  const required = getRequiredCount(rule, base);
+
+  return {
+    rule: {
+      meetingType: rule.meetingType,
+      basis: rule.basis,
+      method: rule.method,
+      percentage: rule.percentage,
+      fixedCount: rule.fixedCount,
+      countLate: rule.countLate,
+      description: rule.description
+    },
+    base,
+    present,
+    required,
+    met: base > 0 && present >= required
+  };
+};
+
+module.exports = {
+  OFFICER_ROLES,
+  DEFAULT_RULES,
+  getQuorumRule,
+  calculateQuorum
+};
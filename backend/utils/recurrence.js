@@ -0,0 +1,130 @@
+// Maximum number of occurrences a single series can expand into
+const MAX_OCCURRENCES = 52;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Normalize a date to midnight UTC so occurrences line up with the
+// YYYY-MM-DD part of meeting dates
+const toUTCDate = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+// Format date as YYYY-MM-DD
+const toDateKey = (date) => {
+  return toUTCDate(date).toISOString().split('T')[0];
+};
+
+// Get the Nth weekday of a month (weekOfMonth -1 = last)
+const nthWeekdayOfMonth = (year, month, dayOfWeek, weekOfMonth) => {
+  if (weekOfMonth === -1) {
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    const offset = (last.getUTCDay() - dayOfWeek + 7) % 7;
+    return new Date(Date.UTC(year, month, last.getUTCDate() - offset));
+  }
+
+  const first = new Date(Date.UTC(year, month, 1));
+  const offset = (dayOfWeek - first.getUTCDay() + 7) % 7;
+  const day = 1 + offset + (weekOfMonth - 1) * 7;
+
+  // 5th weekday does not exist in every month
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month ? date : null;
+};
+
+// Validate a recurrence rule, returns an error message or null
+const validateRecurrence = (rule) => {
+  if (!rule || !rule.frequency) {
+    return 'Recurrence frequency is required';
+  }
+
+  if (!['weekly', 'biweekly', 'monthly'].includes(rule.frequency)) {
+    return 'Recurrence frequency must be weekly, biweekly or monthly';
+  }
+
+  if (!rule.startDate || isNaN(new Date(rule.startDate))) {
+    return 'Recurrence start date is required';
+  }
+
+  if (!rule.endDate && !rule.count) {
+    return 'Recurrence requires an end date or an occurrence count';
+  }
+
+  if (rule.endDate && new Date(rule.endDate) < new Date(rule.startDate)) {
+    return 'Recurrence end date must be after the start date';
+  }
+
+  if (rule.count !== undefined && (rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+    return `Recurrence count must be between 1 and ${MAX_OCCURRENCES}`;
+  }
+
+  if (rule.dayOfWeek !== undefined && (rule.dayOfWeek < 0 || rule.dayOfWeek > 6)) {
+    return 'Recurrence day of week must be between 0 (Sunday) and 6 (Saturday)';
+  }
+
+  if (rule.frequency === 'monthly' &&
+      rule.weekOfMonth !== undefined &&
+      ![1, 2, 3, 4, 5, -1].includes(Number(rule.weekOfMonth))) {
+    return 'Recurrence week of month must be 1-5 or -1 for the last week';
+  }
+
+  // An end date alone must stay within the cap instead of being cut short
+  if (!rule.count && expandRecurrence(rule, MAX_OCCURRENCES + 1).length > MAX_OCCURRENCES) {
+    return `Recurrence end date produces more than ${MAX_OCCURRENCES} occurrences, choose an earlier end date or set a count`;
+  }
+
+  return null;
+};
+
+// Expand a recurrence rule into occurrence dates (midnight UTC), at most max
+const expandRecurrence = (rule, max = MAX_OCCURRENCES) => {
+  const start = toUTCDate(rule.startDate);
+  const end = rule.endDate ? toUTCDate(rule.endDate) : null;
+  const limit = Math.min(rule.count || max, max);
+  const dayOfWeek = rule.dayOfWeek !== undefined && rule.dayOfWeek !== null
+    ? Number(rule.dayOfWeek)
+    : start.getUTCDay();
+
+  const dates = [];
+
+  if (rule.frequency === 'monthly') {
+    const weekOfMonth = rule.weekOfMonth !== undefined && rule.weekOfMonth !== null
+      ? Number(rule.weekOfMonth)
+      : Math.ceil(start.getUTCDate() / 7);
+
+    let year = start.getUTCFullYear();
+    let month = start.getUTCMonth();
+
+    // Bounded by the occurrence cap, skipped months count towards it too
+    for (let i = 0; dates.length < limit && i < max * 2; i++) {
+      const date = nthWeekdayOfMonth(year, month, dayOfWeek, weekOfMonth);
+
+      if (date && end && date > end) break;
+      if (date && date >= start) dates.push(date);
+
+      month += 1;
+      if (month > 11) {
+        month = 0;
+        year += 1;
+      }
+    }
+  } else {
+    const step = (rule.frequency === 'biweekly' ? 14 : 7) * DAY_MS;
+    let date = new Date(start.getTime() + ((dayOfWeek - start.getUTCDay() + 7) % 7) * DAY_MS);
+
+    while (dates.length < limit && (!end || date <= end)) {
+      dates.push(date);
+      date = new Date(date.getTime() + step);
+    }
+  }
+
+  return dates;
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  toUTCDate,
+  toDateKey,
+  validateRecurrence,
+  expandRecurrence
+};
@@ -0,0 +1,58 @@
+const { markOverdueActionItems, notifyUpcomingDeadlines } = require('./actionItems');
+const { closeDuePolls } = require('./polls');
+
+const MINUTE = 60 * 1000;
+
+// Background jobs and how often they run
+const JOBS = [
+  {
+    name: 'action item deadlines',
+    interval: 15 * MINUTE,
+    run: async () => {
+      await markOverdueActionItems();
+      await notifyUpcomingDeadlines();
+    }
+  },
+  {
+    name: 'poll closing',
+    interval: MINUTE,
+    run: closeDuePolls
+  }
+];
+
+const timers = [];
+
+// Run every job once now and then on its interval. A run that is still busy
+// is not started again, failures are logged and retried on the next run.
+const startScheduler = () => {
+  if (timers.length > 0) return;
+
+  JOBS.forEach(job => {
+    let running = false;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`❌ Scheduled job "${job.name}" failed:`, error);
+      } finally {
+        running = false;
+      }
+    };
+
+    timers.push(setInterval(tick, job.interval));
+    tick();
+  });
+};
+
+const stopScheduler = () => {
+  timers.splice(0).forEach(clearInterval);
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler
+};
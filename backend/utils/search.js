@@ -0,0 +1,81 @@
+// Snippets for full-text search results. MongoDB does not tell which words
+// matched, so the terms of the query are matched again as word prefixes to
+// cover the stemmed forms found by the text index ("meeting" in "meetings").
+
+// Characters of context kept on each side of the first match
+const SNIPPET_RADIUS = 60;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Drop common English endings so "meetings" also marks "meeting"
+const stem = (word) => {
+  const root = word.replace(/(ing|ed|es|s)$/, '');
+  return root.length >= 3 ? root : word;
+};
+
+// Get the words of a $text query, leaving out negated terms
+const getSearchTerms = (query) => {
+  return [...new Set(query
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .map(word => word.replace(/[^\p{L}\p{N}]/gu, '').toLowerCase())
+    .filter(word => word.length > 1)
+    .map(stem))];
+};
+
+// Cut text around the first matching term and wrap the matches in <mark>.
+// The rest of the text is HTML-escaped, so the snippet can be rendered as is.
+const highlight = (text, terms, radius = SNIPPET_RADIUS) => {
+  if (!text) return '';
+
+  const pattern = terms.length > 0
+    ? new RegExp(`(^|[^\\p{L}\\p{N}])((?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*)`, 'giu')
+    : null;
+
+  const first = pattern ? pattern.exec(text) : null;
+  const matchIndex = first ? first.index + first[1].length : 0;
+
+  let start = Math.max(0, matchIndex - radius);
+  let end = Math.min(text.length, matchIndex + radius);
+
+  // Do not cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < matchIndex) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > matchIndex) end = space;
+  }
+
+  const excerpt = text.slice(start, end);
+  let snippet = '';
+  let last = 0;
+
+  if (pattern) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(excerpt)) !== null) {
+      const wordStart = match.index + match[1].length;
+      snippet += escapeHtml(excerpt.slice(last, wordStart)) + `<mark>${escapeHtml(match[2])}</mark>`;
+      last = wordStart + match[2].length;
+    }
+  }
+  snippet += escapeHtml(excerpt.slice(last));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  getSearchTerms,
+  highlight
+};
@@ -0,0 +1,174 @@
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { Chat } = require('../models/Chat');
+
+let io = null;
+
+// Open sockets per user id, a user is online while any tab is connected
+const connections = new Map();
+const lastSeen = new Map();
+
+const userRoom = (userId) => `user:${userId}`;
+
+// Users who receive the events of a discussion
+const getDiscussionMembers = (discussion) => {
+  const members = discussion.participants.map(p => (p._id || p).toString());
+  if (discussion.createdBy) members.push((discussion.createdBy._id || discussion.createdBy).toString());
+  return [...new Set(members)];
+};
+
+// Check if user can follow a discussion
+const canAccess = (discussion, userId) => {
+  return getDiscussionMembers(discussion).includes(userId.toString());
+};
+
+// Read the JWT from the handshake the way authMiddleware reads it from a request
+const getToken = (handshake) => {
+  let token = handshake.auth?.token || handshake.headers.authorization;
+
+  if (!token && handshake.headers.cookie) {
+    const match = handshake.headers.cookie.match(/(?:^|;\s*)token=([^;]+)/);
+    if (match) token = decodeURIComponent(match[1]);
+  }
+
+  if (token && token.startsWith('Bearer ')) {
+    token = token.slice(7);
+  }
+
+  return token;
+};
+
+const authenticate = async (socket, next) => {
+  try {
+    const token = getToken(socket.handshake);
+
+    if (!token) {
+      return next(new Error('No authentication token provided'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select('-password');
+
+    if (!user) {
+      return next(new Error('User not found'));
+    }
+
+    if (user.status !== 'active') {
+      return next(new Error('Account is inactive or suspended'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Invalid authentication token'));
+  }
+};
+
+const setPresence = (userId, online) => {
+  if (!online) lastSeen.set(userId, new Date());
+
+  io.emit('presence', {
+    userId,
+    online,
+    lastSeen: online ? null : lastSeen.get(userId)
+  });
+};
+
+// Relay typing state to the other members of a discussion
+const setTyping = async (socket, discussionId, typing) => {
+  const discussion = await Chat.findOne({ discussionId }).select('participants createdBy');
+  if (!discussion || !canAccess(discussion, socket.user.id)) return;
+
+  if (typing) {
+    socket.data.typing.add(discussionId);
+  } else {
+    socket.data.typing.delete(discussionId);
+  }
+
+  emitToDiscussion(discussion, 'typing', {
+    discussionId,
+    user: { _id: socket.user._id, name: socket.user.name },
+    typing
+  }, { except: socket.user.id });
+};
+
+const handleConnection = (socket) => {
+  const userId = socket.user.id;
+
+  socket.data.typing = new Set();
+  socket.join(userRoom(userId));
+
+  connections.set(userId, (connections.get(userId) || 0) + 1);
+  if (connections.get(userId) === 1) setPresence(userId, true);
+
+  socket.on('typing', ({ discussionId, typing = true } = {}) => {
+    if (!discussionId) return;
+    setTyping(socket, discussionId, Boolean(typing)).catch(error => {
+      console.error('Typing event error:', error.message);
+    });
+  });
+
+  socket.on('presence:list', (ack) => {
+    if (typeof ack === 'function') ack(getOnlineUsers());
+  });
+
+  socket.on('disconnect', () => {
+    socket.data.typing.forEach(discussionId => {
+      setTyping(socket, discussionId, false).catch(() => {});
+    });
+
+    const remaining = connections.get(userId) - 1;
+    if (remaining > 0) {
+      connections.set(userId, remaining);
+    } else {
+      connections.delete(userId);
+      setPresence(userId, false);
+    }
+  });
+};
+
+// Attach the realtime channel to the HTTP server
+const initSocket = (server) => {
+  io = new Server(server, {
+    cors: {
+      origin: process.env.FRONTEND_URL || '*',
+      credentials: true
+    }
+  });
+
+  io.use(authenticate);
+  io.on('connection', handleConnection);
+
+  return io;
+};
+
+// Push an event to the open sockets of the given users
+const emitToUsers = (userIds, event, payload) => {
+  if (!io || userIds.length === 0) return;
+  io.to(userIds.map(id => userRoom(id.toString()))).emit(event, payload);
+};
+
+// Push an event to the members of a discussion, optionally leaving one user out
+const emitToDiscussion = (discussion, event, payload, { except } = {}) => {
+  const members = getDiscussionMembers(discussion)
+    .filter(id => !except || id !== except.toString());
+  emitToUsers(members, event, payload);
+};
+
+const isOnline = (userId) => connections.has(userId.toString());
+
+const getOnlineUsers = () => {
+  return [...connections.keys()];
+};
+
+const getLastSeen = (userId) => lastSeen.get(userId.toString()) || null;
+
+module.exports = {
+  initSocket,
+  emitToUsers,
+  emitToDiscussion,
+  isOnline,
+  getOnlineUsers,
+  getLastSeen
+};
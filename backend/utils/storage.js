@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+// Root folder of the local disk backend, relative paths are taken from the
+// backend folder so files land in the ignored uploads/ wherever it is started
+const UPLOAD_DIR = path.resolve(__dirname, '..', process.env.UPLOAD_DIR || 'uploads');
+
+// Resolve a storage key inside the root, refusing keys that escape it
+const resolveKey = (root, key) => {
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+// Local disk backend. Other backends (S3, GridFS, ...) only need the same
+// save/createReadStream/remove methods and an entry in DRIVERS
+const createLocalStorage = (root = UPLOAD_DIR) => ({
+  name: 'local',
+
+  async save(key, buffer) {
+    const filePath = resolveKey(root, key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return key;
+  },
+
+  createReadStream(key) {
+    return fs.createReadStream(resolveKey(root, key));
+  },
+
+  async remove(key) {
+    await fs.promises.rm(resolveKey(root, key), { force: true });
+  }
+});
+
+const DRIVERS = {
+  local: createLocalStorage
+};
+
+let storage;
+
+// Get the configured storage backend (STORAGE_DRIVER, defaults to local disk)
+const getStorage = () => {
+  if (!storage) {
+    const driver = DRIVERS[process.env.STORAGE_DRIVER || 'local'];
+    if (!driver) {
+      throw new Error(`Unknown storage driver: ${process.env.STORAGE_DRIVER}`);
+    }
+    storage = driver();
+  }
+  return storage;
+};
+
+module.exports = {
+  createLocalStorage,
+  getStorage
+};
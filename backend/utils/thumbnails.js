@@ -0,0 +1,23 @@
+const sharp = require('sharp');
+
+// Longest side of a thumbnail in pixels
+const THUMBNAIL_SIZE = 320;
+
+// Render a WebP thumbnail of an image, the first frame for animated ones.
+// Also returns the size of the original so clients can reserve space.
+const createThumbnail = async (buffer) => {
+  const image = sharp(buffer);
+  const { width, height } = await image.metadata();
+
+  const thumbnail = await image
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  return { buffer: thumbnail, width, height };
+};
+
+module.exports = {
+  createThumbnail
+};
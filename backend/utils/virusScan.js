@@ -0,0 +1,29 @@
+// Virus scanning of uploaded files. No scanner ships with the app: the local
+// stub only catches the EICAR test file so the rejection path can be tried.
+// A real scanner (clamd, a cloud API, ...) is a function with the same
+// signature added to SCANNERS and picked with VIRUS_SCANNER.
+
+const EICAR_SIGNATURE = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+
+const SCANNERS = {
+  local: async (buffer) => {
+    const infected = buffer.includes(EICAR_SIGNATURE);
+    return { clean: !infected, threat: infected ? 'EICAR-Test-File' : null };
+  }
+};
+
+// Scan a file, resolves to { clean, threat, scanner }
+const scanFile = async (buffer, { name } = {}) => {
+  const scannerName = process.env.VIRUS_SCANNER || 'local';
+  const scanner = SCANNERS[scannerName];
+  if (!scanner) {
+    throw new Error(`Unknown virus scanner: ${scannerName}`);
+  }
+
+  const result = await scanner(buffer, { name });
+  return { ...result, scanner: scannerName };
+};
+
+module.exports = {
+  scanFile
+};